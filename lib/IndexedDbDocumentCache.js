@@ -0,0 +1,127 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as assert from './assert.js';
+import {openDatabase, request} from './indexedDb.js';
+
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+/**
+ * A persistent document cache backed by IndexedDB that can be passed as the
+ * `persistentCache` option of a `VerifiableCredentialStore` to keep EDV
+ * documents available across page loads and while the EDV server cannot be
+ * reached.
+ *
+ * Each record is an object `{docId, ids, sequence, doc, decrypted}` where
+ * `docId` is the ID of the EDV document, `ids` are the credential IDs it can
+ * be found by, `sequence` is its EDV sequence number, and `doc` is either
+ * the decrypted EDV document (if `decrypted` is `true`) or the encrypted EDV
+ * document. Any other object with the same methods may be used instead.
+ */
+export class IndexedDbDocumentCache {
+  /**
+   * Creates a new `IndexedDbDocumentCache`.
+   *
+   * @param {object} [options={}] - The options to use.
+   * @param {string} [options.name='@bedrock/web-vc-store'] - The name of
+   *   the IndexedDB database; use a different name for each EDV.
+   */
+  constructor({name = '@bedrock/web-vc-store'} = {}) {
+    assert.string(name, 'name');
+    this.name = name;
+    this._db = null;
+  }
+
+  /**
+   * Gets the record for a credential or, if `docId` is given, for an EDV
+   * document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.id] - The ID of the credential.
+   * @param {string} [options.docId] - The ID of the EDV document.
+   *
+   * @returns {Promise<object|undefined>} The record, if found.
+   */
+  async get({id, docId} = {}) {
+    const store = await this._getStore({mode: 'readonly'});
+    const record = await request(docId === undefined ?
+      store.index('ids').get(id) : store.get(docId));
+    return record ?? undefined;
+  }
+
+  /**
+   * Gets every record.
+   *
+   * @returns {Promise<Array<object>>} The records.
+   */
+  async getAll() {
+    const store = await this._getStore({mode: 'readonly'});
+    return request(store.getAll());
+  }
+
+  /**
+   * Stores a record, replacing any record for the same EDV document.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.record - The record to store.
+   *
+   * @returns {Promise<undefined>} Settles once the record is stored.
+   */
+  async put({record} = {}) {
+    assert.object(record, 'record');
+    const store = await this._getStore({mode: 'readwrite'});
+    await request(store.put(record));
+  }
+
+  /**
+   * Deletes the record for an EDV document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.docId - The ID of the EDV document.
+   *
+   * @returns {Promise<undefined>} Settles once the record is deleted.
+   */
+  async delete({docId} = {}) {
+    const store = await this._getStore({mode: 'readwrite'});
+    await request(store.delete(docId));
+  }
+
+  /**
+   * Deletes every record.
+   *
+   * @returns {Promise<undefined>} Settles once every record is deleted.
+   */
+  async clear() {
+    const store = await this._getStore({mode: 'readwrite'});
+    await request(store.clear());
+  }
+
+  /**
+   * Closes the IndexedDB database; it is reopened if the cache is used again.
+   */
+  close() {
+    if(this._db) {
+      this._db.then(db => db.close(), () => {});
+      this._db = null;
+    }
+  }
+
+  async _getStore({mode}) {
+    if(!this._db) {
+      this._db = openDatabase({
+        name: this.name, version: DB_VERSION,
+        upgrade: db => {
+          const store = db.createObjectStore(STORE_NAME, {keyPath: 'docId'});
+          store.createIndex('ids', 'ids', {multiEntry: true});
+        }
+      });
+      // allow opening again after a failure
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    const db = await this._db;
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+}
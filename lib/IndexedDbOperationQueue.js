@@ -0,0 +1,119 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as assert from './assert.js';
+import {openDatabase, request} from './indexedDb.js';
+
+const DB_VERSION = 1;
+const STORE_NAME = 'operations';
+
+/**
+ * A durable queue of write operations backed by IndexedDB that can be passed
+ * as the `writeQueue` option of a `VerifiableCredentialStore` to keep the
+ * writes made while the EDV server cannot be reached until they can be
+ * replayed.
+ *
+ * Each operation is an object `{id, method, options, queued}` where `id` is
+ * assigned in increasing order when the operation is added, `method` is the
+ * name of the `VerifiableCredentialStore` method to replay, `options` are
+ * the options to pass to it, and `queued` is the time (in milliseconds since
+ * the epoch) when it was queued. Any other object with the same methods may
+ * be used instead.
+ */
+export class IndexedDbOperationQueue {
+  /**
+   * Creates a new `IndexedDbOperationQueue`.
+   *
+   * @param {object} [options={}] - The options to use.
+   * @param {string} [options.name='@bedrock/web-vc-store-operations'] - The
+   *   name of the IndexedDB database; use a different name for each EDV.
+   */
+  constructor({name = '@bedrock/web-vc-store-operations'} = {}) {
+    assert.string(name, 'name');
+    this.name = name;
+    this._db = null;
+  }
+
+  /**
+   * Adds an operation to the end of the queue.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.operation - The operation, without an `id`.
+   *
+   * @returns {Promise<number>} The ID of the queued operation.
+   */
+  async add({operation} = {}) {
+    assert.object(operation, 'operation');
+    const store = await this._getStore({mode: 'readwrite'});
+    return request(store.add(operation));
+  }
+
+  /**
+   * Gets every queued operation, in queue order.
+   *
+   * @returns {Promise<Array<object>>} The operations.
+   */
+  async getAll() {
+    const store = await this._getStore({mode: 'readonly'});
+    return request(store.getAll());
+  }
+
+  /**
+   * Gets the number of queued operations.
+   *
+   * @returns {Promise<number>} The number of operations.
+   */
+  async count() {
+    const store = await this._getStore({mode: 'readonly'});
+    return request(store.count());
+  }
+
+  /**
+   * Removes an operation from the queue.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} options.id - The ID of the operation.
+   *
+   * @returns {Promise<undefined>} Settles once the operation is removed.
+   */
+  async delete({id} = {}) {
+    const store = await this._getStore({mode: 'readwrite'});
+    await request(store.delete(id));
+  }
+
+  /**
+   * Removes every operation from the queue.
+   *
+   * @returns {Promise<undefined>} Settles once every operation is removed.
+   */
+  async clear() {
+    const store = await this._getStore({mode: 'readwrite'});
+    await request(store.clear());
+  }
+
+  /**
+   * Closes the IndexedDB database; it is reopened if the queue is used again.
+   */
+  close() {
+    if(this._db) {
+      this._db.then(db => db.close(), () => {});
+      this._db = null;
+    }
+  }
+
+  async _getStore({mode}) {
+    if(!this._db) {
+      this._db = openDatabase({
+        name: this.name, version: DB_VERSION,
+        upgrade: db => db.createObjectStore(
+          STORE_NAME, {keyPath: 'id', autoIncrement: true})
+      });
+      // allow opening again after a failure
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    const db = await this._db;
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+}
@@ -1,8 +1,14 @@
 /*!
- * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as assert from './assert.js';
+import {convertCredentialQuery, SUPPORTED_FORMATS} from './dcql.js';
+import {
+  getCredentialMeta, getIssuer, getValidityPeriod
+} from './credentials.js';
+import {getMatchableCredential, matchesExample} from './queryByExample.js';
 import canonicalize from 'canonicalize';
+import {convertInputDescriptor} from './presentationExchange.js';
 import {LruCache} from '@digitalbazaar/lru-memoize';
 import pAll from 'p-all';
 
@@ -11,11 +17,35 @@ import pAll from 'p-all';
 // may not be available (for remote credential stores)
 const OPS_CONCURRENCY = 10;
 
+// the maximum number of results an EDV query may return
+const MAX_EDV_QUERY_LIMIT = 1000;
+
+// the maximum number of credential IDs to look up in a single EDV query in
+// `getMany()`; each ID produces two `equals` entries in the query
+const GET_MANY_BATCH_SIZE = 100;
+
+// the methods whose calls can be queued in a `writeQueue`
+const WRITE_METHODS = [
+  'addToBundle', 'delete', 'insert', 'removeFromBundle', 'updateBundle',
+  'upsert'
+];
+
 /**
  * Each instance of this API is associated with a single EDV client and
  * performs initialization (ensures required indexes are created).
+ *
+ * Each instance is an `EventTarget` that dispatches a `CustomEvent` whenever
+ * it changes a stored credential, including the credentials changed along
+ * with a bundle: `inserted`, `updated`, or `deleted` with `detail` set to
+ * `{id, doc}` where `id` is the ID of the credential and `doc` is its EDV
+ * document, and `bundleChanged` with `detail` set to `{id, added, removed}`
+ * where `id` is the ID of a bundle and `added` and `removed` are the IDs of
+ * the credentials that were added to or removed from it. Trashing a
+ * credential (see the `softDelete` constructor option) dispatches `updated`.
+ * Replaying queued writes dispatches `replayed` or `replayFailed` (see
+ * `replay()`).
  */
-export class VerifiableCredentialStore {
+export class VerifiableCredentialStore extends EventTarget {
   /**
    * Creates a `VerifiableCredentialStore` interface for accessing a VC store
    * in an EDV (Encrypted Data Vault).
@@ -33,11 +63,72 @@ export class VerifiableCredentialStore {
    *   first can however be useful for workflows where bundled content is the
    *   primary search target and the parent bundler can then be discovered from
    *   the meta data even if it wasn't successfully added.
+   * @param {Array<object>} [options.indexes=[]] - Additional EDV indexes to
+   *   create, each an object `{attribute, unique}` where `attribute` is an
+   *   EDV document attribute path starting with `content.` or `meta.` (e.g.,
+   *   `content.credentialSubject.id`) or an array of such paths to create a
+   *   compound index and `unique` (default `false`) sets whether the index
+   *   is unique; every attribute path can then be used as a key in `find()`
+   *   queries, but since EDV queries can only use a compound index for a
+   *   leading prefix of its attributes, a query with an attribute of a
+   *   compound index must also include the attributes before it; note
+   *   that a unique index will cause inserts of credentials with a
+   *   conflicting value to fail with a `DuplicateError`.
+   * @param {number} [options.maxBundleDepth=10] - The maximum depth of
+   *   bundle nesting, i.e., the number of bundle levels from a top-level
+   *   bundle down to its most deeply bundled credentials; adding bundle
+   *   contents that would exceed it fails with a `ConstraintError`.
+   * @param {number} [options.maxBundleSize=1000] - The maximum number of
+   *   credentials that a single bundle may directly contain; adding bundle
+   *   contents that would exceed it fails with a `ConstraintError`.
+   * @param {boolean} [options.softDelete=false] - Set to `true` to make
+   *   `delete()` move credentials (and their cascaded dependents) to the
+   *   trash instead of deleting them; trashed credentials are hidden from
+   *   `get()`, `getMany()`, and `find()` by default and can be brought back
+   *   via `restore()` or deleted for good via `purge()`; the independent
+   *   contents of a trashed bundle stay linked to it (so that restoring it
+   *   restores the whole bundle), but trashed bundles are ignored by
+   *   `getBundlers()` and do not prevent deleting their contents.
+   * @param {object} [options.cache={}] - Options for the credential cache:
+   *   `max` (default `50`) sets the maximum number of cached credentials and
+   *   `ttl` (default 24 hours) sets how long, in milliseconds, a credential
+   *   may be cached.
+   * @param {boolean|string} [options.broadcastChannel=false] - Set to the
+   *   name of a `BroadcastChannel` (or `true` to use a name based on the ID
+   *   of the `edvClient`) to keep the caches of every instance that uses the
+   *   same channel, e.g., in other browser tabs, coherent: whenever this
+   *   instance stores, updates, or deletes a credential, the others remove
+   *   it from their caches; call `close()` once the instance is no longer
+   *   used to close the channel.
+   * @param {object} [options.persistentCache] - A persistent cache, e.g., an
+   *   `IndexedDbDocumentCache`, to store the EDV documents that are read or
+   *   written; while the EDV server cannot be reached (i.e., EDV requests
+   *   fail with network errors), `get()`, `getMany()`, and `find()` are
+   *   served from it and, once the server can be reached again, it is
+   *   revalidated (see `revalidate()`).
+   * @param {boolean} [options.persistDecrypted=false] - Set to `true` to
+   *   store decrypted EDV documents in the `persistentCache`; by default,
+   *   encrypted EDV documents are stored and decrypted when read.
+   * @param {object} [options.writeQueue] - A durable queue, e.g., an
+   *   `IndexedDbOperationQueue`, to store the calls to `insert()`,
+   *   `upsert()`, `delete()`, `updateBundle()`, `addToBundle()`, and
+   *   `removeFromBundle()` that fail because the EDV server cannot be
+   *   reached (or that are made while earlier calls are still queued); such
+   *   calls resolve to `{queued: true, operationId}` instead and are replayed
+   *   in order via `replay()`, which is called automatically once the EDV
+   *   server can be reached again; queued calls to `insert()` and `upsert()`
+   *   set `meta.created` and `meta.updated` (unless given) to the time they
+   *   were queued; calls with a custom `mutator` and dry runs are never
+   *   queued.
    */
   constructor({
     edv, edvClient, capability, invocationSigner,
-    addBundleContentsFirst = false
+    addBundleContentsFirst = false, indexes = [], maxBundleDepth = 10,
+    maxBundleSize = 1000, softDelete = false, cache = {},
+    broadcastChannel = false, persistentCache, persistDecrypted = false,
+    writeQueue
   } = {}) {
+    super();
     // throw on old parameters
     if(edv !== undefined) {
       throw new Error(
@@ -54,6 +145,32 @@ export class VerifiableCredentialStore {
         'instance that internalizes zcap processing instead.');
     }
     assert.object(edvClient, 'edvClient');
+    assert.indexes(indexes, 'indexes');
+    assert.limit(maxBundleDepth, 'maxBundleDepth');
+    assert.limit(maxBundleSize, 'maxBundleSize');
+    assert.object(cache, 'cache');
+    const {
+      // 50 credentials at 10MiB each (max size) would be 500MiB -- much more
+      // likely to be smaller than that, e.g., ~5-100KiB each
+      max = 50,
+      // 24 hrs TTL (credentials rarely change; their meta might but calls
+      // should request that the cache not be used if necessary)
+      ttl = 1000 * 60 * 60 * 24
+    } = cache;
+    assert.limit(max, 'cache.max');
+    assert.limit(ttl, 'cache.ttl');
+    if(broadcastChannel === true) {
+      assert.string(edvClient.id, 'edvClient.id');
+      broadcastChannel = `@bedrock/web-vc-store:${edvClient.id}`;
+    } else if(broadcastChannel !== false) {
+      assert.string(broadcastChannel, 'broadcastChannel');
+    }
+    if(persistentCache !== undefined) {
+      assert.object(persistentCache, 'persistentCache');
+    }
+    if(writeQueue !== undefined) {
+      assert.object(writeQueue, 'writeQueue');
+    }
     this.edvClient = edvClient;
 
     // setup EDV indexes...
@@ -78,27 +195,61 @@ export class VerifiableCredentialStore {
     edvClient.ensureIndex({attribute: 'meta.bundledBy'});
     // index to find by type
     edvClient.ensureIndex({attribute: ['content.type', 'meta.issuer']});
+    // index to find by VC Data Model version
+    edvClient.ensureIndex({attribute: 'meta.vcdmVersion'});
+    // index to find by the type of credentials that are not JSON-LD objects
+    // (e.g., compact JWT or SD-JWT credentials or enveloped credentials)
+    edvClient.ensureIndex({attribute: ['meta.type', 'meta.issuer']});
+    // index to find by format
+    edvClient.ensureIndex({attribute: 'meta.format'});
+    // index to find the trashed VCs (see `softDelete`) by the ID of the VC
+    // whose deletion trashed them
+    edvClient.ensureIndex({attribute: 'meta.trashedBy'});
+
+    // custom indexes; each attribute can be used as a query key in `find()`
+    // as long as the query can use an index for it (see
+    // `_assertIndexedQuery()`)
+    this._customIndexes = [];
+    this._customQueryKeys = new Set();
+    for(const {attribute, unique = false} of indexes) {
+      edvClient.ensureIndex({attribute, unique});
+      const attributes = Array.isArray(attribute) ? attribute : [attribute];
+      this._customIndexes.push(attributes);
+      attributes.forEach(this._customQueryKeys.add, this._customQueryKeys);
+    }
 
     // cache for EDV credential docs, keyed by credential ID
-    this._credentialCache = new LruCache({
-      // 50 credentials at 10MiB each (max size) would be 500MiB -- much more
-      // likely to be smaller than that, e.g., ~5-100KiB each
-      max: 50,
-      // 24 hrs TTL (credentials rarely change; their meta might but calls
-      // should request that the cache not be used if necessary)
-      ttl: 1000 * 60 * 60 * 24
-    });
+    this._credentialCache = new LruCache({max, ttl});
     // companion cache to the above cache, uses EDV doc ID => credential ID
     // mappings to avoid extra EDV doc lookups if an EDV doc ID matches a
     // credential ID that is in the `_credentialCache`
     this._docIdToCredentialIdCache = new LruCache({
       // IDs are small
       max: 1000,
-      // 24 hrs TTL
-      ttl: 1000 * 60 * 60 * 24
+      ttl
     });
+    // credential cache lookup counts (see `getCacheStats()`)
+    this._cacheStats = {hits: 0, misses: 0};
+    // channel to send evictions to (and receive them from) other instances
+    this._channel = null;
+    if(broadcastChannel) {
+      this._channel = new BroadcastChannel(broadcastChannel);
+      this._channel.onmessage = ({data}) => this._evictEntries(data);
+    }
+    // persistent cache for EDV docs, used while the EDV server cannot be
+    // reached; `_offline` is set while docs are being served from it
+    this.persistentCache = persistentCache ?? null;
+    this.persistDecrypted = persistDecrypted;
+    this._offline = false;
+    // queue for writes made while the EDV server cannot be reached and the
+    // pending `replay()` of it, if any
+    this.writeQueue = writeQueue ?? null;
+    this._replay = null;
 
     this.addBundleContentsFirst = addBundleContentsFirst;
+    this.maxBundleDepth = maxBundleDepth;
+    this.maxBundleSize = maxBundleSize;
+    this.softDelete = softDelete;
   }
 
   /**
@@ -108,23 +259,244 @@ export class VerifiableCredentialStore {
    * @param {string} options.id - The ID of the credential.
    * @param {boolean} [options.useCache=false] - True to allow loading from
    *   the cache; false to always load a fresh copy.
+   * @param {boolean} [options.includeTrashed=false] - True to also get a
+   *   trashed credential (see the `softDelete` constructor option).
    *
    * @returns {Promise<object>} The EDV document for the stored VC.
    */
-  async get({id, useCache = false} = {}) {
+  async get({id, useCache = false, includeTrashed = false} = {}) {
+    let doc;
     if(useCache) {
-      return this._credentialCache.memoize({
+      this._countCacheLookup({hit: this._credentialCache.cache.has(id)});
+      doc = await this._credentialCache.memoize({
         key: id,
         fn: () => this._getUncached({id})
       });
+    } else {
+      doc = await this._getUncached({id});
+      // update cache w/latest
+      this._credentialCache.cache.set(id, Promise.resolve(doc));
+    }
+    if(this._isHidden({doc, includeTrashed})) {
+      const err = new Error('Verifiable Credential not found.');
+      err.name = 'NotFoundError';
+      throw err;
     }
-
-    const doc = await this._getUncached({id});
-    // update cache w/latest
-    this._credentialCache.cache.set(id, Promise.resolve(doc));
     return doc;
   }
 
+  /**
+   * Gets many verifiable credentials by their IDs using as few EDV queries as
+   * possible. Any credential that is not found is reported in the results
+   * via an `error` instead of causing an error to be thrown.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<string>} options.ids - The IDs of the credentials.
+   * @param {boolean} [options.useCache=false] - True to allow loading from
+   *   the cache; false to always load fresh copies.
+   * @param {boolean} [options.includeTrashed=false] - True to also get
+   *   trashed credentials (see the `softDelete` constructor option).
+   *
+   * @returns {Promise<Array<object>>} An array with an entry for each ID in
+   *   `ids`, in the same order, of the form `{id, doc}` where `doc` is the
+   *   EDV document for the stored VC or, if the VC was not found,
+   *   `{id, error}` where `error` is a `NotFoundError`.
+   */
+  async getMany({ids, useCache = false, includeTrashed = false} = {}) {
+    assert.arrayOfStrings(ids, 'ids');
+
+    const docs = new Map();
+    let missing = [...new Set(ids)];
+    if(useCache) {
+      // only use cache entries that already exist; fetch all others together
+      const cached = await Promise.all(missing.map(async id => {
+        const hit = this._credentialCache.cache.has(id);
+        this._countCacheLookup({hit});
+        if(!hit) {
+          return;
+        }
+        try {
+          return await this._credentialCache.cache.get(id);
+        } catch(e) {}
+      }));
+      missing = missing.filter((id, i) => {
+        if(cached[i]) {
+          docs.set(id, cached[i]);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    // fetch all missing docs in batches of IDs
+    const actions = [];
+    for(let i = 0; i < missing.length; i += GET_MANY_BATCH_SIZE) {
+      const batch = missing.slice(i, i + GET_MANY_BATCH_SIZE);
+      actions.push(async () => {
+        const {documents} = await this._edvFind({
+          equals: batch.flatMap(id => [{'content.id': id}, {'meta.id': id}])
+        });
+        for(const doc of documents) {
+          for(const id of new Set([doc.content?.id, doc.meta?.id])) {
+            if(id !== undefined && batch.includes(id)) {
+              docs.set(id, doc);
+              // update cache w/latest
+              this._credentialCache.cache.set(id, Promise.resolve(doc));
+            }
+          }
+        }
+      });
+    }
+    await pAll(actions, {concurrency: OPS_CONCURRENCY, stopOnError: true});
+
+    return ids.map(id => {
+      const doc = docs.get(id);
+      if(doc && !this._isHidden({doc, includeTrashed})) {
+        return {id, doc};
+      }
+      const error = new Error('Verifiable Credential not found.');
+      error.name = 'NotFoundError';
+      return {id, error};
+    });
+  }
+
+  /**
+   * Removes a verifiable credential from the cache such that it will be
+   * loaded fresh the next time it is requested. Credentials are removed
+   * from the cache automatically when they are updated or deleted via this
+   * instance, so this is only needed if they may have been changed some
+   * other way (e.g., via another instance).
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the credential.
+   *
+   * @returns {Promise<undefined>} Settles once the credential is removed.
+   */
+  async invalidate({id} = {}) {
+    assert.string(id, 'id');
+    let doc;
+    try {
+      doc = await this._credentialCache.cache.get(id);
+    } catch(e) {}
+    this._credentialCache.delete(id);
+    if(doc) {
+      // also remove any entries for the credential's other IDs
+      this._evict({doc});
+    }
+  }
+
+  /**
+   * Removes every verifiable credential from the cache.
+   */
+  clearCache() {
+    this._credentialCache.cache.clear();
+    this._docIdToCredentialIdCache.cache.clear();
+  }
+
+  /**
+   * Gets statistics about the credential cache.
+   *
+   * @returns {object} An object `{size, max, ttl, hits, misses}` with the
+   *   number of cached credentials, the cache options (see the constructor),
+   *   and the number of lookups that used the cache (`useCache=true`) and
+   *   that did (`hits`) or did not (`misses`) find a cached credential.
+   */
+  getCacheStats() {
+    const {size, max, ttl} = this._credentialCache.cache;
+    return {size, max, ttl, ...this._cacheStats};
+  }
+
+  /**
+   * Revalidates the EDV documents in the `persistentCache` (if any) against
+   * the EDV: documents whose `sequence` has changed are replaced with their
+   * latest version and documents that no longer exist are removed. This is
+   * done automatically once the EDV server can be reached again after
+   * documents were served from the `persistentCache`.
+   *
+   * @returns {Promise<object>} An object `{updated, removed}` with the EDV
+   *   document IDs of the updated and removed documents.
+   */
+  async revalidate() {
+    const updated = [];
+    const removed = [];
+    if(!this.persistentCache) {
+      return {updated, removed};
+    }
+    const records = await this.persistentCache.getAll();
+    const actions = [];
+    for(let i = 0; i < records.length; i += GET_MANY_BATCH_SIZE) {
+      const batch = records.slice(i, i + GET_MANY_BATCH_SIZE);
+      actions.push(async () => {
+        // note: the EDV client is used directly to avoid serving the
+        // records being revalidated if the EDV server cannot be reached
+        const {documents} = await this.edvClient.find({
+          equals: batch.flatMap(({ids}) => ids.flatMap(
+            id => [{'content.id': id}, {'meta.id': id}]))
+        });
+        const docs = new Map(documents.map(doc => [doc.id, doc]));
+        for(const {docId, ids, sequence} of batch) {
+          const doc = docs.get(docId);
+          if(doc?.sequence === sequence) {
+            continue;
+          }
+          // any cached copies are stale
+          this._evictEntries({ids, docId});
+          if(doc) {
+            await this._persist({doc});
+            updated.push(docId);
+          } else {
+            await this.persistentCache.delete({docId});
+            removed.push(docId);
+          }
+        }
+      });
+    }
+    await pAll(actions, {concurrency: OPS_CONCURRENCY, stopOnError: true});
+    return {updated, removed};
+  }
+
+  /**
+   * Replays the operations in the `writeQueue` (if any) in order, removing
+   * each from the queue once it has succeeded or failed. Updates that
+   * conflict with concurrent changes are retried as with `upsert()` and
+   * `delete()`. If the EDV server cannot be reached, the replay stops and
+   * the remaining operations stay queued. A queued `insert()` that was
+   * partially completed before the EDV server could no longer be reached is
+   * completed as with `upsert()`. Concurrent calls share the same replay and
+   * any writes made while it is pending run after it. Every replay,
+   * including those run automatically, dispatches a `replayed` event with
+   * `detail` set to its result or, if it fails, a `replayFailed` event with
+   * `detail` set to `{error}`.
+   *
+   * @returns {Promise<object>} An object `{outcomes, pending}` where
+   *   `outcomes` has an element `{operationId, method, result}` or, if the
+   *   operation failed, `{operationId, method, error}` for each replayed
+   *   operation and `pending` is the number of operations still queued.
+   */
+  async replay() {
+    if(!this.writeQueue) {
+      return {outcomes: [], pending: 0};
+    }
+    if(!this._replay) {
+      this._replay = this._replayQueue().finally(() => {
+        this._replay = null;
+      });
+    }
+    return this._replay;
+  }
+
+  /**
+   * Closes the `broadcastChannel` (if any) used to keep the caches of other
+   * instances coherent; afterwards, cache evictions are no longer sent to
+   * or received from other instances.
+   */
+  close() {
+    if(this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+  }
+
   /**
    * Gets a bundle associated with a verifiable credential.
    *
@@ -156,36 +528,188 @@ export class VerifiableCredentialStore {
     return {doc, ...bundleResult};
   }
 
+  /**
+   * Gets the bundles that contain a verifiable credential. Only the bundles
+   * that *directly* bundle a credential are recorded (in its
+   * `meta.bundledBy`), so, to find every bundle that contains it at any
+   * depth, pass `recursive=true` to also get the bundlers of each bundle.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the credential.
+   * @param {boolean} [options.recursive=false] - True to get every bundle
+   *   that contains the credential at any depth; false to only get the
+   *   bundles that directly contain it.
+   * @param {boolean} [options.useCache=false] - True to allow loading from
+   *   the cache; false to always load fresh copies.
+   *
+   * @returns {Promise<object>} The result: `{bundlers, graph}` where
+   *   `bundlers` is an array with the IDs of the bundles and `graph` is an
+   *   object that maps the credential ID and the ID of each of its bundles
+   *   to the IDs of the bundles that directly contain it (bundles that are
+   *   not found map to an empty array).
+   */
+  async getBundlers({id, recursive = false, useCache = false} = {}) {
+    assert.string(id, 'id');
+    const doc = await this.get({id, useCache});
+    const bundledBy = await this._getVisibleBundlers(
+      {bundledBy: doc.meta.bundledBy ?? [], useCache});
+    if(!recursive) {
+      return {bundlers: bundledBy, graph: {[id]: bundledBy}};
+    }
+    const graph = new Map([
+      [id, bundledBy],
+      ...await this._getBundlerGraph(
+        {ids: bundledBy, useCache, includeTrashed: false})
+    ]);
+    return {
+      bundlers: [..._getBundlers({graph, id})],
+      graph: Object.fromEntries(graph)
+    };
+  }
+
   /**
    * Gets all verifiable credential instances that match the given parameters.
    *
+   * Results may be paged by passing `options.limit`; if more matching
+   * documents are available, the result will include a `nextCursor` that can
+   * be passed as `options.cursor` (along with the same `query`) to resume
+   * the listing. Only the documents in the requested page are fetched.
+   * Since EDV queries cannot skip results, only the first
+   * `MAX_EDV_QUERY_LIMIT` (1000) matching documents can be paged through;
+   * if more documents match, the result includes `hasMore: true` (and no
+   * `nextCursor` once the last reachable page is returned) and the query
+   * should be narrowed to reach the others.
+   *
+   * Results may be ordered by passing `options.sort`, e.g.,
+   * `{field: 'meta.updated', direction: 'desc'}`. Since EDV queries cannot
+   * order documents by their (blinded) attributes, every matching document
+   * is loaded (using the cache where possible) and sorted prior to paging.
+   * At most `MAX_EDV_QUERY_LIMIT` (1000) documents can be sorted; if more
+   * documents match, the result includes `hasMore: true` to indicate that
+   * the sort order only covers some of them and the query should be
+   * narrowed.
+   *
+   * Credentials that are not valid at a given point in time (e.g., expired
+   * credentials) may be excluded by passing `includeExpired=false`. Validity
+   * is determined by the `meta.validFrom` and `meta.validUntil` values
+   * recorded by `insert()` and `upsert()` (or, for credentials stored before
+   * these were recorded, by the credential's own validity period).
+   *
+   * Credentials may also be filtered using a `QueryByExample` `example`
+   * (see `matchesExample()`); since EDV queries can only match indexed
+   * attributes, any documents that match `query` are checked against the
+   * example after they are fetched. Any other post-filter may be given as a
+   * `filter` function (e.g., one returned by
+   * `convertPresentationDefinition()`). When paging filtered results, only
+   * the first `MAX_EDV_QUERY_LIMIT` (1000) documents that match `query` can
+   * be checked; if more match, the result includes `hasMore: true`.
+   *
+   * If the `softDelete` constructor option is set, trashed credentials are
+   * excluded unless `includeTrashed=true` is passed; since trashed
+   * credentials cannot be excluded by the EDV query itself, they are also
+   * filtered out after their documents are fetched; with
+   * `options.returnDocuments=false`, the IDs of the remaining documents are
+   * returned in `documentIds`.
+   *
    * @param {object} options - The options to use.
    * @param {object|Array} options.query - One or more query objects with
-   *   `type`, `issuer`, `displayable`, and `bundledBy` filters.
+   *   `id`, `type`, `issuer`, `displayable`, `bundledBy`, `vcdmVersion`
+   *   (`1.1` or `2.0`), and `format` filters and/or
+   *   filters keyed by any attribute from the custom `indexes` passed to the
+   *   constructor (an attribute that is not the first of a compound index
+   *   can only be used along with the attributes before it); an empty array
+   *   matches no credentials.
    * @param {boolean} [options.useCache=true] - True to allow loading from
    *   the cache; false to always load a fresh copy.
-   * @param {object} [options.options] - Query options such as `limit`.
+   * @param {boolean} [options.includeExpired=true] - True to include
+   *   credentials regardless of their validity period; false to only include
+   *   credentials that are valid at `at`.
+   * @param {number|Date} [options.at=Date.now()] - The point in time, as a
+   *   millisecond timestamp or a `Date`, at which credentials must be valid
+   *   when `includeExpired` is false.
+   * @param {object} [options.example] - A `QueryByExample` example that
+   *   matching credentials must also match.
+   * @param {Function} [options.filter] - A function that takes an EDV
+   *   document and returns whether it should be included in the results.
+   * @param {boolean} [options.includeTrashed=false] - True to include
+   *   trashed credentials (see the `softDelete` constructor option).
+   * @param {object} [options.options] - Query options such as `limit`,
+   *   `cursor`, and `sort`.
    *
    * @returns {Promise<object>} The matching EDV documents as an array in
-   *   `documents`.
+   *   `documents`, if more results are available, a `nextCursor`, and, if
+   *   more documents match than could be examined, `hasMore: true`.
    */
-  async find({query, useCache = true, options = {}} = {}) {
+  async find({
+    query, useCache = true, includeExpired = true, at = Date.now(),
+    example, filter: postFilter, includeTrashed = false, options = {}
+  } = {}) {
     assert.objectOrArrayOfObjects(query, 'query');
     assert.object(options, 'options');
+    const filters = [];
+    if(!includeExpired) {
+      at = assert.timestamp(at, 'at');
+      filters.push(doc => _isValidAt({doc, at}));
+    }
+    if(example !== undefined) {
+      assert.object(example, 'example');
+      filters.push(doc => matchesExample(
+        {credential: getMatchableCredential({doc}), example}));
+    }
+    if(postFilter !== undefined) {
+      assert.func(postFilter, 'filter');
+      filters.push(postFilter);
+    }
+    // hide trashed credentials by default (see `softDelete`)
+    const hideTrashed = this.softDelete && !includeTrashed;
+    if(hideTrashed) {
+      filters.push(doc => !_isTrashed(doc));
+    }
+    const filter = filters.length === 0 ?
+      undefined : doc => filters.every(f => f(doc));
+    if(options.limit !== undefined) {
+      assert.limit(options.limit, 'options.limit');
+    }
+    if(options.cursor !== undefined) {
+      assert.string(options.cursor, 'options.cursor');
+    }
+    const {sort} = options;
+    if(sort !== undefined) {
+      assert.sort(sort, 'options.sort');
+      if(options.returnDocuments === false) {
+        throw new Error(
+          '"options.returnDocuments" must not be false when sorting.');
+      }
+    }
+    // trashed credentials are excluded by fetching and checking every
+    // matching document, so documents are only required for other filters
+    if(filters.length > (hideTrashed ? 1 : 0)) {
+      if(options.returnDocuments === false) {
+        throw new Error(
+          '"options.returnDocuments" must not be false when filtering ' +
+          'credentials by validity, example, or filter.');
+      }
+      if(options.count) {
+        throw new Error(
+          '"options.count" must not be true when filtering credentials by ' +
+          'validity, example, or filter.');
+      }
+    }
 
     // normalize query to an array of queries
     const queries = Array.isArray(query) ? query : [query];
 
     // build `equals` EDV query
     const equals = [];
+    const additionalKeys = [...this._customQueryKeys];
     for(const q of queries) {
-      assert.query(q, 'query');
+      assert.query(q, 'query', {additionalKeys});
 
-      const {type, issuer, displayable, bundledBy} = q;
-      const entry = {};
-      if(type) {
-        entry['content.type'] = type;
-      }
+      const {
+        id, type, issuer, displayable, bundledBy, vcdmVersion, format,
+        ...custom
+      } = q;
+      const entry = {...custom};
       if(issuer) {
         entry['meta.issuer'] = issuer;
       }
@@ -195,8 +719,44 @@ export class VerifiableCredentialStore {
       if(bundledBy) {
         entry['meta.bundledBy'] = bundledBy;
       }
-      equals.push(entry);
+      if(vcdmVersion) {
+        entry['meta.vcdmVersion'] = vcdmVersion;
+      }
+      if(format) {
+        entry['meta.format'] = format;
+      }
+      let entries = [entry];
+      if(id) {
+        // match VC ID *or* auto-generated ID (see `meta.id` index)
+        entries = entries.flatMap(
+          e => [{...e, 'content.id': id}, {...e, 'meta.id': id}]);
+      }
+      if(type) {
+        // match the type of JSON-LD VCs *or* of other credentials (e.g.,
+        // compact JWT credentials)
+        entries = entries.flatMap(
+          e => [{...e, 'content.type': type}, {...e, 'meta.type': type}]);
+      }
+      for(const e of entries) {
+        _assertIndexedQuery(
+          {entry: e, keys: Object.keys(custom), indexes: this._customIndexes});
+      }
+      equals.push(...entries);
     }
+    if(equals.length === 0) {
+      // an empty array of queries matches no credentials
+      return options.count ? {count: 0} : {documents: []};
+    }
+
+    // trashed credentials can only be excluded from a count by fetching
+    // and counting every matching document
+    const countFiltered = !!(options.count && filter);
+
+    // results are paged when a `limit` or `cursor` is given
+    const paged = !options.count &&
+      (options.limit !== undefined || options.cursor !== undefined);
+    const cursor = options.cursor === undefined ?
+      {offset: 0} : _decodeCursor(options.cursor);
 
     // do not request full documents; fetch them afterwards to use either local
     // or HTTP cache
@@ -204,49 +764,76 @@ export class VerifiableCredentialStore {
     if(options.returnDocuments !== undefined) {
       q.returnDocuments = options.returnDocuments;
     }
-    if(options.limit !== undefined) {
+    if((sort && !options.count) || (filter && paged)) {
+      // every matching document is needed to sort and an unknown number of
+      // documents will need to be checked to fill a filtered page
+      q.limit = MAX_EDV_QUERY_LIMIT;
+    } else if(paged) {
+      // EDV queries cannot skip results, so every ID up to the end of the
+      // requested page (plus one to detect whether more results exist) is
+      // requested; only the documents in the page itself will be fetched
+      if(options.limit !== undefined) {
+        q.limit = Math.min(
+          cursor.offset + options.limit + 1, MAX_EDV_QUERY_LIMIT);
+      }
+    } else if(options.limit !== undefined) {
       q.limit = options.limit;
     }
-    if(options.count !== undefined) {
+    if(options.count !== undefined && !countFiltered) {
       q.count = options.count;
     }
 
-    const results = await this.edvClient.find(q);
-    if(results.documentIds && options.returnDocuments !== false) {
-      // fetch documents / pull from the cache concurrently
-      const documents = await Promise.all(results.documentIds.map(async id => {
-        let doc;
-        // note: this could perhaps be improved by running `memoize()` on
-        // `_docIdToCredentialIdCache`, but care needs to be taken not to
-        // cause every lookup in that cache to wait for all pending EDV
-        // fetches to return
-        let credentialId = useCache &&
-          await this._docIdToCredentialIdCache.cache.get(id);
-        if(credentialId) {
-          doc = await this._credentialCache.cache.get(credentialId);
-        } else {
-          doc = await this.edvClient.get({id});
-          credentialId = doc.content?.id ?? doc.meta?.id;
-          // update caches with result
-          if(credentialId) {
-            this._docIdToCredentialIdCache.cache.set(
-              id, Promise.resolve(credentialId));
-            this._credentialCache.cache.set(
-              credentialId, Promise.resolve(doc));
-          }
-        }
-        return doc;
-      }));
-      results.documents = documents;
-      delete results.documentIds;
-    } else if(results.documents) {
-      // update credentials cache with results
-      for(const doc of results.documents) {
-        const credentialId = doc.content?.id ?? doc.meta?.id;
-        if(credentialId) {
-          this._credentialCache.cache.set(credentialId, Promise.resolve(doc));
+    const results = await this._edvFind(q);
+    // matches past the first `MAX_EDV_QUERY_LIMIT` cannot be examined since
+    // EDV queries cannot skip results, so the results are incomplete
+    const truncated = q.limit === MAX_EDV_QUERY_LIMIT && !!results.hasMore;
+    if(countFiltered) {
+      await this._resolveDocuments({results, useCache});
+      return {count: results.documents.filter(filter).length};
+    }
+    if(options.count) {
+      return results;
+    }
+    if(sort || (filter && !paged)) {
+      // all matching documents are needed
+      await this._resolveDocuments({results, useCache});
+      if(filter) {
+        results.documents = results.documents.filter(filter);
+      }
+      if(sort) {
+        results.documents.sort(_createComparator(sort));
+      }
+      if(paged) {
+        _selectPage({results, cursor, limit: options.limit});
+      }
+      if(sort && truncated) {
+        results.hasMore = true;
+      }
+    } else if(filter) {
+      // only fetch as many documents as needed to fill the page
+      await this._selectFilteredPage(
+        {results, cursor, limit: options.limit, filter, useCache});
+      if(truncated) {
+        results.hasMore = true;
+      }
+    } else {
+      if(paged) {
+        _selectPage({results, cursor, limit: options.limit});
+        if(truncated) {
+          results.hasMore = true;
         }
       }
+      if(options.returnDocuments !== false) {
+        await this._resolveDocuments({results, useCache});
+      } else if(results.documents) {
+        this._cacheDocuments({docs: results.documents});
+      }
+    }
+    if(filter && options.returnDocuments === false) {
+      // only return the IDs of the documents that were fetched to exclude
+      // trashed credentials
+      results.documentIds = results.documents.map(({id}) => id);
+      delete results.documents;
     }
 
     return results;
@@ -255,24 +842,292 @@ export class VerifiableCredentialStore {
   /**
    * Converts a VPR query into a local query to run against `find()`.
    *
+   * The issuers of matching credentials may be restricted via the
+   * `trustedIssuer` entries of a `QueryByExample` credential query, each
+   * either naming an issuer (`{id}` or `{issuer}`) or delegating trust via
+   * an `issuerQuery`. An `issuerQuery` (also allowed on the credential query
+   * itself) is one or more `QueryByExample` credential queries for
+   * accreditation credentials (e.g., credentials issued by a trusted
+   * accreditor); it is resolved against the stored credentials and the
+   * `credentialSubject.id` of each matching credential is trusted as an
+   * issuer. If trusted issuers are given but none are found, the query will
+   * match no credentials.
+   *
    * @param {object} options - The options to use.
-   * @param {object} options.vprQuery - A Verifiable Presentation Request query
-   *   (e.g. `{type: "QueryByExample", ...}`).
+   * @param {object|Array} options.vprQuery - A Verifiable Presentation
+   *   Request query (e.g. `{type: "QueryByExample", ...}`) or an array of
+   *   such queries (e.g., a `DIDAuthentication` query and a `QueryByExample`
+   *   query).
+   * @param {boolean} [options.includeExpired=true] - True to match
+   *   credentials regardless of their validity period; false to only match
+   *   credentials that are valid at `at`.
+   * @param {number|Date} [options.at] - The point in time at which matching
+   *   credentials must be valid when `includeExpired` is false; defaults to
+   *   the time at which `find()` is called.
    *
    * @returns {Promise<object>} An object with `queries` set to an array where
-   *   each element is a separate query to be passed to `find()`; the
-   *   queries will be ordered such that they match the VPR query order; future
-   *   versions may add additional properties to the returned object such as
-   *   trusted issuer VCs.
+   *   each element is a separate query to be passed to `find()`, `examples`
+   *   set to an array with the `QueryByExample` example that each query was
+   *   converted from (to be passed as `example` to `find()` along with the
+   *   query to match any example constraints other than `type` and
+   *   `trustedIssuer`), `trustedIssuers` set to an array with an element
+   *   `{issuers, accreditations}` for each query where `issuers` are the
+   *   trusted issuer IDs the query was restricted to (if any) and
+   *   `accreditations` are the EDV documents with the stored credentials
+   *   that any delegated trust issuer IDs were discovered from,
+   *   `didAuthentication` set to an array with an element
+   *   `{acceptedMethods, acceptedCryptosuites}` for each `DIDAuthentication`
+   *   query (each property an array, empty if the query did not specify it),
+   *   and `findOptions` set to the `includeExpired` and `at` options to pass
+   *   to `find()` along with each query (and used to find accreditation
+   *   credentials); the queries will be ordered such that they match the VPR
+   *   query order.
+   */
+  async convertVPRQuery({vprQuery, includeExpired = true, at} = {}) {
+    assert.objectOrArrayOfObjects(vprQuery, 'vprQuery');
+    const findOptions = {includeExpired};
+    if(at !== undefined) {
+      findOptions.at = assert.timestamp(at, 'at');
+    }
+
+    // normalize VPR query to an array
+    const vprQueries = Array.isArray(vprQuery) ? vprQuery : [vprQuery];
+
+    const queries = [];
+    const examples = [];
+    const trustedIssuers = [];
+    const didAuthentication = [];
+    for(const query of vprQueries) {
+      const {type} = query;
+      if(type === 'QueryByExample') {
+        const {credentialQuery} = query;
+        const result = await this._convertQueryByExample(
+          {credentialQuery, findOptions});
+        queries.push(...result.queries);
+        examples.push(...result.examples);
+        trustedIssuers.push(...result.trustedIssuers);
+      } else if(type === 'DIDAuthentication') {
+        didAuthentication.push(_convertDIDAuthentication({query}));
+      } else {
+        throw new Error(`Unsupported query type: "${type}"`);
+      }
+    }
+    return {
+      queries, examples, trustedIssuers, didAuthentication, findOptions
+    };
+  }
+
+  /**
+   * Converts a DIF Presentation Exchange presentation definition into local
+   * queries to run against `find()`.
+   *
+   * Each input descriptor is converted into a query on the `type` and / or
+   * `issuer` of a credential (from fields with paths such as `$.type`,
+   * `$.vc.type`, `$.vct`, `$.issuer`, or `$.iss` and a `const`, `enum`, or
+   * `contains` filter) and a post-filter that checks all of its fields and
+   * formats. Input descriptors without a field that constrains `type` or
+   * `issuer` to specific values are not supported, to avoid matching every
+   * stored credential. Any `submission_requirements` are not evaluated.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.presentationDefinition - The presentation
+   *   definition.
+   * @param {boolean} [options.includeExpired=true] - True to match
+   *   credentials regardless of their validity period; false to only match
+   *   credentials that are valid at `at`.
+   * @param {number|Date} [options.at] - The point in time at which matching
+   *   credentials must be valid when `includeExpired` is false; defaults to
+   *   the time at which `find()` is called.
+   *
+   * @returns {object} An object with `inputDescriptors` set to an array with
+   *   the ID of each input descriptor, `queries` set to an array with the
+   *   query for each input descriptor, `filters` set to an array with the
+   *   post-filter function for each input descriptor (to be passed as
+   *   `filter` to `find()` along with the query), and `findOptions` set to
+   *   the `includeExpired` and `at` options to pass to `find()` along with
+   *   each query.
+   */
+  convertPresentationDefinition({
+    presentationDefinition, includeExpired = true, at
+  } = {}) {
+    assert.object(presentationDefinition, 'presentationDefinition');
+    const findOptions = {includeExpired};
+    if(at !== undefined) {
+      findOptions.at = assert.timestamp(at, 'at');
+    }
+    const {input_descriptors: inputDescriptors, format} =
+      presentationDefinition;
+    assert.arrayOfObjects(
+      inputDescriptors, 'presentationDefinition.input_descriptors');
+
+    const ids = [];
+    const queries = [];
+    const filters = [];
+    for(const inputDescriptor of inputDescriptors) {
+      const {id, query, filter} = convertInputDescriptor(
+        {inputDescriptor, format});
+      ids.push(id);
+      queries.push(query);
+      filters.push(filter);
+    }
+    return {inputDescriptors: ids, queries, filters, findOptions};
+  }
+
+  /**
+   * Finds the stored credentials that satisfy each input descriptor of a DIF
+   * Presentation Exchange presentation definition; see
+   * `convertPresentationDefinition()` for how input descriptors are matched.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.presentationDefinition - The presentation
+   *   definition.
+   * @param {boolean} [options.includeExpired=true] - True to match
+   *   credentials regardless of their validity period; false to only match
+   *   credentials that are valid at `at`.
+   * @param {number|Date} [options.at=Date.now()] - The point in time at
+   *   which matching credentials must be valid when `includeExpired` is
+   *   false.
+   * @param {boolean} [options.useCache=true] - True to allow loading from
+   *   the cache; false to always load a fresh copy.
+   *
+   * @returns {Promise<object>} An object with `matches` set to an array with
+   *   an element `{inputDescriptor, documents}` for each input descriptor,
+   *   in order, where `inputDescriptor` is its ID and `documents` are the
+   *   EDV documents with the credentials that satisfy it.
    */
-  async convertVPRQuery({vprQuery} = {}) {
-    assert.object(vprQuery, 'vprQuery');
-    const {type} = vprQuery;
-    if(type === 'QueryByExample') {
-      const {credentialQuery} = vprQuery;
-      return this._convertQueryByExample({credentialQuery});
+  async matchPresentationDefinition({
+    presentationDefinition, includeExpired = true, at, useCache = true
+  } = {}) {
+    const {
+      inputDescriptors, queries, filters, findOptions
+    } = this.convertPresentationDefinition(
+      {presentationDefinition, includeExpired, at});
+    const matches = await Promise.all(queries.map(async (query, i) => {
+      const {documents} = await this.find(
+        {query, filter: filters[i], useCache, ...findOptions});
+      return {inputDescriptor: inputDescriptors[i], documents};
+    }));
+    return {matches};
+  }
+
+  /**
+   * Converts an OpenID4VP DCQL query into local queries to run against
+   * `find()`, keyed by the ID of each DCQL credential query.
+   *
+   * Each credential query is converted into a query on the credential
+   * `type` (from `meta.vct_values` or `meta.type_values`) and / or `format`
+   * and a post-filter that checks its `format`, `meta`, and `claims` (using
+   * any `claim_sets`); `ldp_vc` credential queries without
+   * `meta.type_values` are not supported, to avoid matching every stored
+   * credential. Credential queries for formats that cannot be stored (e.g.,
+   * `mso_mdoc`) are omitted since no stored credential can satisfy them.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.dcqlQuery - The DCQL query with `credentials`
+   *   and optional `credential_sets`.
+   * @param {boolean} [options.includeExpired=true] - True to match
+   *   credentials regardless of their validity period; false to only match
+   *   credentials that are valid at `at`.
+   * @param {number|Date} [options.at] - The point in time at which matching
+   *   credentials must be valid when `includeExpired` is false; defaults to
+   *   the time at which `find()` is called.
+   *
+   * @returns {object} An object with `queries` set to an object that maps
+   *   each credential query ID to its query, `filters` set to an object that
+   *   maps each credential query ID to its post-filter function (to be
+   *   passed as `filter` to `find()` along with the query), `credentialSets`
+   *   set to the credential sets of the DCQL query (as an array of
+   *   `{options, required}`), and `findOptions` set to the `includeExpired`
+   *   and `at` options to pass to `find()` along with each query.
+   */
+  convertDCQLQuery({dcqlQuery, includeExpired = true, at} = {}) {
+    assert.object(dcqlQuery, 'dcqlQuery');
+    const findOptions = {includeExpired};
+    if(at !== undefined) {
+      findOptions.at = assert.timestamp(at, 'at');
+    }
+    const {credentials, credential_sets: credentialSets} = dcqlQuery;
+    assert.arrayOfObjects(credentials, 'dcqlQuery.credentials');
+
+    const queries = {};
+    const filters = {};
+    for(const credentialQuery of credentials) {
+      if(!SUPPORTED_FORMATS.includes(credentialQuery.format)) {
+        continue;
+      }
+      const {id, query, filter} = convertCredentialQuery({credentialQuery});
+      queries[id] = query;
+      filters[id] = filter;
+    }
+
+    const ids = credentials.map(({id}) => id);
+    let sets = [];
+    if(credentialSets !== undefined) {
+      assert.arrayOfObjects(credentialSets, 'dcqlQuery.credential_sets');
+      sets = credentialSets.map(({options, required = true}) => {
+        if(!(Array.isArray(options) && options.every(
+          o => Array.isArray(o) && o.every(id => ids.includes(id))))) {
+          throw new TypeError(
+            'Each "dcqlQuery.credential_sets" entry must have "options" ' +
+            'with arrays of credential query IDs.');
+        }
+        return {options, required};
+      });
     }
-    throw new Error(`Unsupported query type: "${type}"`);
+    return {queries, filters, credentialSets: sets, findOptions};
+  }
+
+  /**
+   * Finds the stored credentials that satisfy each credential query of an
+   * OpenID4VP DCQL query and reports which of its credential set options can
+   * be satisfied; see `convertDCQLQuery()` for how credential queries are
+   * matched.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.dcqlQuery - The DCQL query.
+   * @param {boolean} [options.includeExpired=true] - True to match
+   *   credentials regardless of their validity period; false to only match
+   *   credentials that are valid at `at`.
+   * @param {number|Date} [options.at=Date.now()] - The point in time at
+   *   which matching credentials must be valid when `includeExpired` is
+   *   false.
+   * @param {boolean} [options.useCache=true] - True to allow loading from
+   *   the cache; false to always load a fresh copy.
+   *
+   * @returns {Promise<object>} An object with `matches` set to an object
+   *   that maps each credential query ID to an array of the EDV documents
+   *   with the credentials that satisfy it, `credentialSets` set to an array
+   *   with an element `{options, required, satisfiedOptions}` for each
+   *   credential set where `satisfiedOptions` are the options for which
+   *   every credential query has a match, and `satisfied` set to whether the
+   *   DCQL query can be satisfied (every required credential set, or every
+   *   credential query if there are no credential sets, can be satisfied).
+   */
+  async matchDCQLQuery({
+    dcqlQuery, includeExpired = true, at, useCache = true
+  } = {}) {
+    const {
+      queries, filters, credentialSets, findOptions
+    } = this.convertDCQLQuery({dcqlQuery, includeExpired, at});
+    const ids = dcqlQuery.credentials.map(({id}) => id);
+    const results = await Promise.all(ids.map(async id => {
+      if(!queries[id]) {
+        return [];
+      }
+      const {documents} = await this.find(
+        {query: queries[id], filter: filters[id], useCache, ...findOptions});
+      return documents;
+    }));
+    const matches = {};
+    ids.forEach((id, i) => matches[id] = results[i]);
+
+    const isSatisfied = option => option.every(id => matches[id].length > 0);
+    const sets = credentialSets.map(set => ({
+      ...set, satisfiedOptions: set.options.filter(isSatisfied)
+    }));
+    const satisfied = sets.length === 0 ? isSatisfied(ids) :
+      sets.every(s => !s.required || s.satisfiedOptions.length > 0);
+    return {matches, credentialSets: sets, satisfied};
   }
 
   /**
@@ -281,18 +1136,31 @@ export class VerifiableCredentialStore {
    * as a bundle and all sub-credentials will be upserted.
    *
    * @param {object} options - The options to use.
-   * @param {object} options.credential - The credential to insert; it will be
-   *   set as the `content` of the EDV document.
-   * @param {object} [options.meta={}] - Custom meta data to set; the `issuer`
-   *   field will be auto-populated if not set in the custom `meta`.
+   * @param {object|string} options.credential - The credential to insert; it
+   *   will be set as the `content` of the EDV document; compact (JWT or
+   *   SD-JWT) credentials are given as strings along with their `format`.
+   * @param {string} [options.format] - The format of the credential, which
+   *   is required for compact credentials: `jwt_vc_json`, `jwt_vc_json-ld`,
+   *   `vc+jwt`, `vc+sd-jwt`, or `dc+sd-jwt`; the claims of a compact
+   *   credential are decoded (NOT verified) to set its meta data, e.g., its
+   *   `issuer` from the `iss` claim, its `type` from the `vct` claim (or
+   *   the type of the VC in the claims), and its `validUntil` from the `exp`
+   *   claim.
+   * @param {object} [options.meta={}] - Custom meta data to set; the `issuer`,
+   *   `vcdmVersion`, `validFrom`, and `validUntil` fields (and for compact
+   *   credentials `format`, `type`, and `id`) will be auto-populated if not
+   *   set in the custom `meta`.
    * @param {Array} [options.bundleContents=[]] - Optional bundle contents if
    *   the credential is a bundle of other credentials; each element is an
    *   object:
-   *   `{credential, meta, [bundleContents], [dependent=true]}` where
+   *   `{credential, [format], meta, [bundleContents], [dependent=true]}` where
    *   `bundleContents` is an optional set of sub-bundle contents and
    *   `dependent` specifies whether the sub-credential will be deleted when
    *   all of its parent bundles are deleted (however, if a sub-credential was
-   *   already in storage, it will not be changed to `dependent`).
+   *   already in storage, it will not be changed to `dependent`); a stored
+   *   credential may instead be given by reference as `{id, [dependent]}`,
+   *   in which case it is not stored again and its dependence is only
+   *   changed if `dependent` is given (see `addToBundle()`).
    * @param {boolean} [options.addBundleContentsFirst] - Sets whether
    *   the credential or its bundle contents will be inserted first; see
    *   constructor for more details.
@@ -300,63 +1168,41 @@ export class VerifiableCredentialStore {
    * @returns {Promise<object>} - The stored EDV document.
    */
   async insert({
-    credential, meta = {}, bundleContents,
-    addBundleContentsFirst = this.addBundleContentsFirst
+    credential, format, meta = {}, bundleContents, addBundleContentsFirst
   } = {}) {
-    assert.object(credential, 'credential');
+    assert.credential(credential, format, 'credential');
     assert.object(meta, 'meta');
-    const now = Date.now();
-    meta = {created: now, updated: now, ...meta};
-    // ensure `meta.id` is set
-    if(!meta.id) {
-      meta.id = credential.id ?? `urn:uuid:${crypto.randomUUID()}`;
-    }
     if(bundleContents !== undefined) {
       assert.bundleContents(bundleContents, 'bundleContents');
-      if(bundleContents.length > 0) {
-        // VC is a bundle
-        meta.bundle = true;
-      }
-    }
-    if(!meta.issuer) {
-      meta.issuer = _getIssuer({credential});
-    }
-
-    if(addBundleContentsFirst) {
-      // add any bundle contents first by request
-      if(bundleContents && bundleContents.length > 0) {
-        await this._addBundleContents({bundleId: meta.id, bundleContents});
-      }
-    }
-
-    // insert the credential
-    const result = await this.edvClient.insert({
-      doc: {meta, content: credential}
-    });
-
-    if(!addBundleContentsFirst) {
-      // now add any bundle contents
-      if(bundleContents && bundleContents.length > 0) {
-        await this._addBundleContents({bundleId: meta.id, bundleContents});
-      }
     }
-
-    return result;
+    return this._runOrQueue({method: 'insert', options: {
+      credential, format, meta, bundleContents, addBundleContentsFirst
+    }});
   }
 
   /**
    * Upserts a verifiable credential in EDV storage, overwriting any previous
    * version if one exists. If `bundleContents` is passed, the credential will
-   * be marked as a bundle and all sub-credentials will be upserted.
+   * be marked as a bundle and all sub-credentials will be upserted. Upserting
+   * a trashed credential (see the `softDelete` constructor option) restores
+   * it along with any credentials that were trashed with it, as with
+   * `restore()`.
    *
    * @param {object} options - The options to use.
-   * @param {object} options.credential - The credential to upsert; it will be
-   *   set as the `content` of the EDV document; either `credential.id` or
-   *   `meta.id` must be a string (for credentials without an `id` property) to
-   *   perform an update; if neither are set, then the credential will always
-   *   be treated as new and inserted.
-   * @param {object} [options.meta={}] - Custom meta data to set; the `issuer`
-   *   field will be auto-populated if not set in the custom `meta`.
+   * @param {object|string} options.credential - The credential to upsert; it
+   *   will be set as the `content` of the EDV document; either
+   *   `credential.id` or `meta.id` must be a string (for credentials without
+   *   an `id` property) to perform an update; if neither are set, then the
+   *   credential will always be treated as new and inserted; compact (JWT or
+   *   SD-JWT) credentials are given as strings along with their `format` and
+   *   their `meta.id` defaults to their `jti` claim (or the `id` of the VC in
+   *   their claims).
+   * @param {string} [options.format] - The format of the credential, which
+   *   is required for compact credentials; see `insert()`.
+   * @param {object} [options.meta={}] - Custom meta data to set; the `issuer`,
+   *   `vcdmVersion`, `validFrom`, and `validUntil` fields (and for compact
+   *   credentials `format`, `type`, and `id`) will be auto-populated if not
+   *   set in the custom `meta`.
    * @param {Function} [options.mutator] - A function that takes the options
    *   `{doc, credential, meta}` and that is called if an existing credential
    *   is found and that must return the document to use to update the existing
@@ -367,11 +1213,14 @@ export class VerifiableCredentialStore {
    * @param {Array} [options.bundleContents=[]] - Optional bundle contents if
    *   the credential is a bundle of other credentials; each element is an
    *   object:
-   *   `{credential, meta, [bundleContents], [dependent=true]}` where
+   *   `{credential, [format], meta, [bundleContents], [dependent=true]}` where
    *   `bundleContents` is an optional set of sub-bundle contents and
    *   `dependent` specifies whether the sub-credential will be deleted when
    *   all of its parent bundles are deleted (however, if a sub-credential was
-   *   already in storage, it will not be changed to `dependent`).
+   *   already in storage, it will not be changed to `dependent`); a stored
+   *   credential may instead be given by reference as `{id, [dependent]}`,
+   *   in which case it is not stored again and its dependence is only
+   *   changed if `dependent` is given (see `addToBundle()`).
    * @param {boolean} [options.addBundleContentsFirst] - Sets whether
    *   the credential or its bundle contents will be upserted first; see
    *   constructor for more details.
@@ -379,10 +1228,10 @@ export class VerifiableCredentialStore {
    * @returns {Promise<object>} - The stored EDV document.
    */
   async upsert({
-    credential, meta = {}, mutator = defaultMutator, bundleContents,
-    addBundleContentsFirst = this.addBundleContentsFirst
+    credential, format, meta = {}, mutator, bundleContents,
+    addBundleContentsFirst
   } = {}) {
-    assert.object(credential, 'credential');
+    assert.credential(credential, format, 'credential');
     assert.object(meta, 'meta');
     if(mutator !== undefined) {
       // mutator may be false or a function
@@ -390,22 +1239,520 @@ export class VerifiableCredentialStore {
         throw new TypeError('"mutator" must be false or a function.');
       }
     }
-    const now = Date.now();
-    meta = {created: now, updated: now, ...meta};
-    // ensure `meta.id` is set
-    if(!meta.id) {
-      meta.id = credential.id ?? `urn:uuid:${crypto.randomUUID()}`;
+    if(bundleContents !== undefined) {
+      assert.bundleContents(bundleContents, 'bundleContents');
+    }
+    return this._runOrQueue({method: 'upsert', options: {
+      credential, format, meta, mutator, bundleContents,
+      addBundleContentsFirst
+    }});
+  }
+
+  /**
+   * Stores a bundle credential such that its bundle contains exactly the
+   * given `bundleContents`: new contents are added (as with `upsert()`),
+   * and any credentials that the bundle previously contained but that are
+   * not in `bundleContents` are unlinked from it; unlinked credentials that
+   * are dependent and no longer bundled by any other credential are deleted
+   * along with their own dependent contents (as with `delete()`).
+   *
+   * @param {object} options - The options to use.
+   * @param {object|string} options.credential - The bundle credential.
+   * @param {string} [options.format] - The format of the credential; see
+   *   `insert()`.
+   * @param {object} [options.meta={}] - Custom meta data to set; see
+   *   `upsert()`.
+   * @param {Function} [options.mutator=defaultMutator] - The mutator to use
+   *   if the credential is already stored; see `upsert()`.
+   * @param {Array} options.bundleContents - The full bundle contents; see
+   *   `insert()`.
+   * @param {boolean} [options.addBundleContentsFirst] - Sets whether
+   *   the credential or its bundle contents will be stored first; see
+   *   constructor for more details.
+   *
+   * @returns {Promise<object>} - An object with `doc` set to the stored EDV
+   *   document, `added` and `kept` set to the IDs of the credentials in
+   *   `bundleContents` that were newly added to or were already in the
+   *   bundle, and `unlinked` and `deleted` set to the IDs of the credentials
+   *   that were unlinked from (but not deleted) or deleted from the bundle,
+   *   including from any deleted sub-bundles.
+   */
+  async updateBundle({
+    credential, format, meta = {}, mutator, bundleContents,
+    addBundleContentsFirst
+  } = {}) {
+    assert.credential(credential, format, 'credential');
+    assert.object(meta, 'meta');
+    assert.bundleContents(bundleContents, 'bundleContents');
+    return this._runOrQueue({method: 'updateBundle', options: {
+      credential, format, meta, mutator, bundleContents,
+      addBundleContentsFirst
+    }});
+  }
+
+  /**
+   * Adds a stored credential to a stored bundle by reference, i.e., without
+   * storing the credential again.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.bundleId - The ID of the bundle credential.
+   * @param {string} options.id - The ID of the credential to add.
+   * @param {boolean} [options.dependent] - Set to `true` to make the
+   *   credential dependent on its bundles (it will be deleted when all of
+   *   them are deleted) or `false` to make it independent; by default, the
+   *   credential's dependence is not changed.
+   *
+   * @returns {Promise<object>} - The updated EDV document for the credential.
+   */
+  async addToBundle({bundleId, id, dependent} = {}) {
+    assert.string(bundleId, 'bundleId');
+    assert.string(id, 'id');
+    if(dependent !== undefined && typeof dependent !== 'boolean') {
+      throw new TypeError('"dependent" must be a boolean.');
+    }
+    return this._runOrQueue(
+      {method: 'addToBundle', options: {bundleId, id, dependent}});
+  }
+
+  /**
+   * Removes a credential from a bundle. If the credential is dependent and
+   * no longer bundled by any other credential, it is deleted along with its
+   * own dependent contents (as with `delete()`).
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.bundleId - The ID of the bundle credential.
+   * @param {string} options.id - The ID of the credential to remove.
+   *
+   * @returns {Promise<object>} - An object with `removed` set to whether the
+   *   credential was in the bundle and `unlinked` and `deleted` set to the
+   *   IDs of the credentials that were unlinked from (but not deleted) or
+   *   deleted from the bundle, including from any deleted sub-bundles.
+   */
+  async removeFromBundle({bundleId, id} = {}) {
+    assert.string(bundleId, 'bundleId');
+    assert.string(id, 'id');
+    return this._runOrQueue(
+      {method: 'removeFromBundle', options: {bundleId, id}});
+  }
+
+  /**
+   * Removes a verifiable credential identified by its ID or EDV doc ID (for
+   * VCs that do not have IDs). If the credential is bundled by any other
+   * credential or if the credential is a bundle and `deleteBundle=false`,
+   * then an error will be thrown unless `force` is set to true; a
+   * `ConstraintError` thrown because the credential is bundled lists the IDs
+   * of the credentials that bundle it in its `bundlers` property (see
+   * `getBundlers()`).
+   *
+   * If the `softDelete` constructor option is set, the credential and any
+   * dependent credentials that would be deleted along with it are instead
+   * marked as trashed (via `meta.trashed` and `meta.trashedBy`) and no other
+   * credentials are changed, such that `restore()` can bring the credential
+   * and its bundle back; `purge()` deletes trashed credentials for good.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.id] - The ID of the credential.
+   * @param {string} [options.docId] - The ID of the EDV document storing the
+   *   credential.
+   * @param {boolean} [options.deleteBundle=true] - If `true` and credential is
+   *   a bundle, then any credentials that are part of it and depend on its
+   *   existence (`meta.dependent=true`) will also be deleted.
+   * @param {boolean} [options.force=false] - If `true` the credential will be
+   *   forcibly deleted whether or not it is part of a bundle.
+   * @param {boolean} [options.dryRun=false] - If `true`, nothing is changed
+   *   and the result includes the `operations` that would be run instead;
+   *   errors that would prevent the deletion are still thrown.
+   *
+   * @returns {Promise<object>} - An object with
+   *   `{deleted: boolean, doc, bundle}` where `deleted` is set to true if
+   *   anything was deleted; `doc` is only set if the deleted document was
+   *   found and `bundle` is only set if a bundle was updated (an update will
+   *   include unlinking the parent bundle from sub-bundles and, if any
+   *   sub-credentials are dependent on parent bundles and no longer have any
+   *   parents, they will be deleted as well); for a dry run, `deleted` is
+   *   `false` and `operations` is an array of the planned `{type, doc}`
+   *   operations where `type` is `update`, `delete`, or (for soft deletes)
+   *   `trash` and `doc` is the EDV document as it would be updated or
+   *   trashed or the EDV document to delete.
+   */
+  async delete({
+    id, docId, deleteBundle = true, force = false, dryRun = false
+  } = {}) {
+    if(!(id || docId)) {
+      throw new TypeError('Either "id" or "docId" must be a string.');
+    }
+    if(id && docId) {
+      throw new Error('Only one of "id" or "docId" may be given.');
+    }
+
+    if(dryRun) {
+      return this._retryDelete({
+        id, docId, deleteBundle, force, dryRun, softDelete: this.softDelete
+      });
+    }
+    return this._runOrQueue(
+      {method: 'delete', options: {id, docId, deleteBundle, force}});
+  }
+
+  /**
+   * Restores a credential that was trashed by `delete()` (see the
+   * `softDelete` constructor option) along with any of its dependent
+   * credentials that were trashed with it.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the trashed credential.
+   *
+   * @returns {Promise<object>} - An object with `restored` set to the IDs of
+   *   the restored credentials.
+   */
+  async restore({id} = {}) {
+    assert.string(id, 'id');
+    const {restored} = await this._restore({id});
+    if(restored.length === 0) {
+      const error = new Error('Trashed Verifiable Credential not found.');
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    return {restored};
+  }
+
+  /**
+   * Deletes trashed credentials (see the `softDelete` constructor option)
+   * for good, as with `delete()` when soft deletion is not enabled.
+   *
+   * @param {object} options - The options to use.
+   * @param {number|Date} [options.olderThan=Date.now()] - Only credentials
+   *   that were trashed before this point in time, as a millisecond timestamp
+   *   or a `Date`, are deleted.
+   *
+   * @returns {Promise<object>} - An object with `purged` set to the IDs of
+   *   the deleted credentials and, if some trashed credentials could not be
+   *   checked because the EDV server returns a limited number of them and
+   *   none of those it returned could be deleted, `hasMore: true`.
+   */
+  async purge({olderThan = Date.now()} = {}) {
+    olderThan = assert.timestamp(olderThan, 'olderThan');
+    let hasMore;
+    const getExpired = async () => {
+      const results = await this.edvClient.find({has: ['meta.trashedBy']});
+      hasMore = hasMore || !!results.hasMore;
+      return results.documents.filter(({meta}) => meta.trashed < olderThan);
+    };
+
+    // first delete each credential whose own deletion trashed it, which
+    // deletes or unlinks its bundle contents as with `delete()`, then any
+    // trashed credentials that remain (e.g., dependents that have since been
+    // bundled again); this is done serially since each deletion may change
+    // the bundles of the next
+    const purged = new Set();
+    let count;
+    do {
+      // EDV queries cannot skip results, so if the EDV server did not return
+      // every trashed credential, query again once those it returned are
+      // deleted
+      hasMore = false;
+      count = purged.size;
+      for(const roots of [true, false]) {
+        for(const doc of await getExpired()) {
+          const id = _getCredentialId(doc);
+          if(roots && id !== doc.meta.trashedBy) {
+            continue;
+          }
+          const {operations} = await this._retryDelete({
+            id, deleteBundle: true, force: true, softDelete: false
+          });
+          for(const {type, doc} of operations) {
+            if(type === 'delete') {
+              purged.add(_getCredentialId(doc));
+            }
+          }
+        }
+      }
+    } while(hasMore && purged.size > count);
+    return hasMore ? {purged: [...purged], hasMore} : {purged: [...purged]};
+  }
+
+  /**
+   * Checks the consistency of all stored credentials with respect to
+   * bundles. Since bundle operations update several EDV documents and may
+   * run concurrently, an interrupted or conflicting operation can leave
+   * documents in an inconsistent state (see `_getBundle()`); this method
+   * reports any such documents so they can be fixed via `repair()`.
+   *
+   * @returns {Promise<object>} An object with `valid` set to true if no
+   *   problems were found, `orphanedDependents` set to the EDV documents of
+   *   dependent credentials that are not bundled by any existing credential,
+   *   `danglingBundledBy` set to an array of `{doc, missing}` for each EDV
+   *   document with `meta.bundledBy` IDs (`missing`) of credentials that do
+   *   not exist, `bundleFlagMismatches` set to an array of `{doc, bundle}`
+   *   for each EDV document whose `meta.bundle` flag does not match whether
+   *   it bundles other credentials (`bundle`), and `duplicates` set to an
+   *   array of `{id, docs}` for each credential ID stored in more than one
+   *   EDV document; `complete` is false (and `valid` is false) if the EDV
+   *   server did not return every stored credential (EDV queries return a
+   *   limited number of results), in which case credentials may be reported
+   *   as missing even though they exist.
+   */
+  async verifyIntegrity() {
+    const {documents: docs, hasMore} = await this._getAllDocuments();
+
+    // index docs by credential ID
+    const docsById = new Map();
+    for(const doc of docs) {
+      const id = _getCredentialId(doc);
+      const entry = docsById.get(id);
+      if(entry) {
+        entry.push(doc);
+      } else {
+        docsById.set(id, [doc]);
+      }
+    }
+    const duplicates = [];
+    for(const [id, entry] of docsById) {
+      if(entry.length > 1) {
+        duplicates.push({id, docs: entry});
+      }
+    }
+
+    // check every doc's bundle links
+    const orphanedDependents = [];
+    const danglingBundledBy = [];
+    const bundlers = new Set();
+    for(const doc of docs) {
+      const {bundledBy = []} = doc.meta;
+      const missing = bundledBy.filter(id => !docsById.has(id));
+      if(missing.length > 0) {
+        danglingBundledBy.push({doc, missing});
+      }
+      if(doc.meta.dependent && missing.length === bundledBy.length) {
+        orphanedDependents.push(doc);
+      }
+      bundledBy.forEach(id => bundlers.add(id));
+    }
+    const bundleFlagMismatches = [];
+    for(const doc of docs) {
+      const bundle = bundlers.has(_getCredentialId(doc));
+      if(!!doc.meta.bundle !== bundle) {
+        bundleFlagMismatches.push({doc, bundle});
+      }
+    }
+
+    // credentials that could not be fetched would be reported as missing
+    const complete = !hasMore;
+    const valid = complete && orphanedDependents.length === 0 &&
+      danglingBundledBy.length === 0 && bundleFlagMismatches.length === 0 &&
+      duplicates.length === 0;
+    return {
+      valid, complete, orphanedDependents, danglingBundledBy,
+      bundleFlagMismatches, duplicates
+    };
+  }
+
+  /**
+   * Repairs the problems found by `verifyIntegrity()`: for duplicates, the
+   * most recently updated EDV document is kept (with the `meta.bundledBy`
+   * IDs of all of the duplicates) and the others are deleted; `bundledBy`
+   * IDs of credentials that do not exist are removed; `meta.bundle` flags
+   * are corrected; and orphaned dependent credentials are deleted along with
+   * any credentials that depend on them (as with `delete()`).
+   *
+   * @param {object} options - The options to use.
+   * @param {boolean} [options.dryRun=false] - True to only return the
+   *   operations that would be performed without performing them.
+   *
+   * @returns {Promise<object>} An object with `report` set to the result of
+   *   `verifyIntegrity()` prior to the repair and `operations` set to an
+   *   array of the `{type, doc}` operations (`type` is `update` or
+   *   `delete`) that were (or, if `dryRun` is true, would be) performed;
+   *   deleting an orphaned dependent credential that is itself a bundle will
+   *   also delete or unlink its contents, which are not included in
+   *   `operations`; throws a `NotSupportedError` (with the `report`) if the
+   *   report is not `complete`.
+   */
+  async repair({dryRun = false} = {}) {
+    const report = await this.verifyIntegrity();
+    if(!report.complete) {
+      // links to credentials that were not checked would be removed
+      const error = new Error(
+        'Cannot repair credentials since not every stored credential ' +
+        'could be checked.');
+      error.name = 'NotSupportedError';
+      error.report = report;
+      throw error;
+    }
+    const {
+      orphanedDependents, danglingBundledBy, bundleFlagMismatches, duplicates
+    } = report;
+
+    // collect changes to each doc in a single operation
+    const operationMap = new Map();
+    const originalMeta = new Map();
+    const getOp = doc => {
+      let op = operationMap.get(doc.id);
+      if(!op) {
+        originalMeta.set(doc.id, canonicalize(doc.meta));
+        operationMap.set(doc.id, op = {
+          type: 'update', doc: {...doc, meta: {...doc.meta}}
+        });
+      }
+      return op;
+    };
+
+    // keep the most recently updated duplicate, deleting the others
+    const kept = [];
+    for(const {docs} of duplicates) {
+      const [doc, ...others] = [...docs].sort(
+        (a, b) => (b.meta.updated ?? 0) - (a.meta.updated ?? 0));
+      const bundledBy = new Set(docs.flatMap(d => d.meta.bundledBy ?? []));
+      if(bundledBy.size > (doc.meta.bundledBy?.length ?? 0)) {
+        getOp(doc).doc.meta.bundledBy = [...bundledBy];
+      }
+      for(const other of others) {
+        getOp(other).type = 'delete';
+      }
+      kept.push(doc);
+    }
+
+    // remove `bundledBy` IDs of credentials that do not exist
+    const missing = new Set(danglingBundledBy.flatMap(d => d.missing));
+    for(const doc of [...danglingBundledBy.map(({doc}) => doc), ...kept]) {
+      const op = getOp(doc);
+      const bundledBy = (op.doc.meta.bundledBy ?? []).filter(
+        id => !missing.has(id));
+      if(bundledBy.length > 0) {
+        op.doc.meta.bundledBy = bundledBy;
+      } else {
+        delete op.doc.meta.bundledBy;
+      }
+    }
+
+    // correct bundle flags
+    for(const {doc, bundle} of bundleFlagMismatches) {
+      const op = getOp(doc);
+      if(bundle) {
+        op.doc.meta.bundle = true;
+      } else {
+        delete op.doc.meta.bundle;
+      }
+    }
+
+    // delete any (remaining) dependents that are not bundled instead of
+    // updating them
+    const orphanOps = [];
+    for(const doc of new Set([...orphanedDependents, ...kept])) {
+      const op = operationMap.get(doc.id);
+      const {meta} = op?.doc ?? doc;
+      if(op?.type !== 'delete' && meta.dependent &&
+        !(meta.bundledBy?.length > 0)) {
+        operationMap.delete(doc.id);
+        orphanOps.push({type: 'delete', doc});
+      }
+    }
+
+    // skip updates that do not change anything
+    const ops = [...operationMap.values()].filter(({type, doc}) =>
+      type === 'delete' ||
+      canonicalize(doc.meta) !== originalMeta.get(doc.id));
+    const operations = [...ops, ...orphanOps];
+    if(dryRun) {
+      return {report, operations};
     }
 
+    await this._runOps({ops});
+    // delete orphans (and anything that depends on them) serially since
+    // they may share contents
+    for(const {doc} of orphanOps) {
+      await this._retryDelete({
+        id: _getCredentialId(doc), deleteBundle: true, force: true,
+        softDelete: false
+      });
+    }
+    return {report, operations};
+  }
+
+  // see `insert()`
+  async _insert({
+    credential, format, meta = {}, bundleContents,
+    addBundleContentsFirst = this.addBundleContentsFirst
+  } = {}) {
+    const now = Date.now();
+    meta = {
+      created: now, updated: now, ...getCredentialMeta({credential, format}),
+      ...meta
+    };
+    // ensure `meta.id` is set
+    if(!meta.id) {
+      meta.id = credential.id ?? `urn:uuid:${crypto.randomUUID()}`;
+    }
     if(bundleContents !== undefined) {
-      assert.bundleContents(bundleContents, 'bundleContents');
       if(bundleContents.length > 0) {
         // VC is a bundle
         meta.bundle = true;
       }
+      // ensure any credentials given by reference exist and that the bundle
+      // will not form a cycle or exceed limits before storing
+      await this._assertReferencesExist({bundleContents});
+      await this._assertBundleConstraints(
+        {bundleId: meta.id, bundledBy: meta.bundledBy, bundleContents});
     }
     if(!meta.issuer) {
-      meta.issuer = _getIssuer({credential});
+      meta.issuer = getIssuer({credential, format});
+    }
+
+    if(addBundleContentsFirst) {
+      // add any bundle contents first by request
+      if(bundleContents && bundleContents.length > 0) {
+        await this._addBundleContents({bundleId: meta.id, bundleContents});
+      }
+    }
+
+    // insert the credential
+    const result = await this.edvClient.insert({
+      doc: {meta, content: credential}
+    });
+    // other instances may have cached a previously deleted credential
+    this._broadcastEviction(_getCacheEntries(result));
+    this._persist({doc: result});
+    this._emitChange({type: 'inserted', doc: result});
+
+    if(!addBundleContentsFirst) {
+      // now add any bundle contents
+      if(bundleContents && bundleContents.length > 0) {
+        await this._addBundleContents({bundleId: meta.id, bundleContents});
+      }
+    }
+
+    return result;
+  }
+
+  // see `upsert()`
+  async _upsert({
+    credential, format, meta = {}, mutator = defaultMutator, bundleContents,
+    addBundleContentsFirst = this.addBundleContentsFirst
+  } = {}) {
+    const now = Date.now();
+    meta = {
+      created: now, updated: now, ...getCredentialMeta({credential, format}),
+      ...meta
+    };
+    // ensure `meta.id` is set
+    if(!meta.id) {
+      meta.id = credential.id ?? `urn:uuid:${crypto.randomUUID()}`;
+    }
+
+    if(bundleContents !== undefined) {
+      if(bundleContents.length > 0) {
+        // VC is a bundle
+        meta.bundle = true;
+      }
+      // ensure any credentials given by reference exist and that the bundle
+      // will not form a cycle or exceed limits before storing
+      await this._assertReferencesExist({bundleContents});
+      await this._assertBundleConstraints(
+        {bundleId: meta.id, bundledBy: meta.bundledBy, bundleContents});
+    }
+    if(!meta.issuer) {
+      meta.issuer = getIssuer({credential, format});
     }
 
     if(addBundleContentsFirst) {
@@ -440,8 +1787,14 @@ export class VerifiableCredentialStore {
       } catch(e) {}
     }
     let result;
+    // the IDs of the bundles of the existing doc and of the credential whose
+    // deletion trashed it, if any
+    let bundledBy;
+    let trashedBy;
     const retries = 10;
     for(let i = 0; i < retries; ++i) {
+      bundledBy = isNew ? [] : doc.meta?.bundledBy ?? [];
+      trashedBy = isNew ? undefined : doc.meta?.trashedBy;
       if(isNew) {
         // try to create a new doc
         doc = {
@@ -459,6 +1812,9 @@ export class VerifiableCredentialStore {
           doc.meta = {...meta, created};
           doc.content = credential;
         }
+        // upserting a trashed credential restores it
+        delete doc.meta.trashed;
+        delete doc.meta.trashedBy;
       }
 
       try {
@@ -478,7 +1834,7 @@ export class VerifiableCredentialStore {
         // like we predicted...
         try {
           // try to get a fresh copy of the doc
-          doc = await this.get({id: meta.id});
+          doc = await this.get({id: meta.id, includeTrashed: true});
           // got it, so doc is not new; loop to try to update it
           isNew = false;
           continue;
@@ -511,6 +1867,14 @@ export class VerifiableCredentialStore {
       throw new Error(
         `Failed to upsert credential "${meta.id}"; too many retries.`);
     }
+    // the cached doc (here and in other instances) may be a previous version
+    this._evict({doc, result});
+    this._emitChange(
+      {type: isNew ? 'inserted' : 'updated', doc: result, bundledBy});
+    if(trashedBy !== undefined && trashedBy === _getCredentialId(result)) {
+      // also restore the dependents that were trashed along with it
+      await this._restore({id: trashedBy});
+    }
 
     if(!addBundleContentsFirst) {
       // now add any bundle contents
@@ -522,57 +1886,100 @@ export class VerifiableCredentialStore {
     return result;
   }
 
-  /**
-   * Removes a verifiable credential identified by its ID or EDV doc ID (for
-   * VCs that do not have IDs). If the credential is bundled by any other
-   * credential or if the credential is a bundle and `deleteBundle=false`,
-   * then an error will be thrown unless `force` is set to true.
-   *
-   * @param {object} options - The options to use.
-   * @param {string} [options.id] - The ID of the credential.
-   * @param {string} [options.docId] - The ID of the EDV document storing the
-   *   credential.
-   * @param {boolean} [options.deleteBundle=true] - If `true` and credential is
-   *   a bundle, then any credentials that are part of it and depend on its
-   *   existence (`meta.dependent=true`) will also be deleted.
-   * @param {boolean} [options.force=false] - If `true` the credential will be
-   *   forcibly deleted whether or not it is part of a bundle.
-   *
-   * @returns {Promise<object>} - An object with
-   *   `{deleted: boolean, doc, bundle}` where `deleted` is set to true if
-   *   anything was deleted; `doc` is only set if the deleted document was
-   *   found and `bundle` is only set if a bundle was updated (an update will
-   *   include unlinking the parent bundle from sub-bundles and, if any
-   *   sub-credentials are dependent on parent bundles and no longer have any
-   *   parents, they will be deleted as well).
-   */
-  async delete({id, docId, deleteBundle = true, force = false} = {}) {
-    if(!(id || docId)) {
-      throw new TypeError('Either "id" or "docId" must be a string.');
+  // see `updateBundle()`
+  async _updateBundle({
+    credential, format, meta = {}, mutator = defaultMutator, bundleContents,
+    addBundleContentsFirst = this.addBundleContentsFirst
+  } = {}) {
+    // get the IDs of the current and new bundle contents
+    const id = _getEntryId({credential, format, meta});
+    let contents = [];
+    if(id !== undefined) {
+      ({bundle: {contents}} = await this._getBundle({id}));
     }
-    if(id && docId) {
-      throw new Error('Only one of "id" or "docId" may be given.');
+    const currentIds = new Set(contents.map(({doc}) => _getCredentialId(doc)));
+    const added = [];
+    const kept = [];
+    const newIds = new Set();
+    bundleContents = bundleContents.map(entry => {
+      let entryId = _getEntryId(entry);
+      if(entryId === undefined) {
+        // assign an ID to report
+        entryId = `urn:uuid:${crypto.randomUUID()}`;
+        entry = {...entry, meta: {...entry.meta, id: entryId}};
+      }
+      newIds.add(entryId);
+      (currentIds.has(entryId) ? kept : added).push(entryId);
+      return entry;
+    });
+    if(bundleContents.length === 0) {
+      // credential is no longer a bundle
+      meta = {...meta, bundle: false};
     }
 
-    // loop to handle concurrent updates
-    while(true) {
-      try {
-        return await this._delete({id, docId, deleteBundle, force});
-      } catch(e) {
-        if(e.name !== 'InvalidStateError') {
-          throw e;
-        }
-        // loop to try again
+    const doc = await this._upsert({
+      credential, format, meta, mutator, bundleContents,
+      addBundleContentsFirst
+    });
+
+    // unlink removed contents
+    const {unlinked, deleted} = await this._unlinkFromBundle({
+      bundleId: doc.meta.id,
+      filter: ref => !newIds.has(_getCredentialId(ref.doc))
+    });
+    return {doc, added, kept, unlinked, deleted};
+  }
+
+  // see `addToBundle()`
+  async _addToBundle({bundleId, id, dependent} = {}) {
+    // ensure bundle exists and that linking to it will not form a cycle or
+    // exceed limits
+    await this.get({id: bundleId});
+    const graph = await this._getBundlerGraph({ids: [bundleId]});
+    if(id === bundleId || _getBundlers({graph, id: bundleId}).has(id)) {
+      throw _createCycleError({id});
+    }
+    if(_getBundlerDepth({graph, id: bundleId}) + 1 > this.maxBundleDepth) {
+      throw _createDepthError({bundleId, maxBundleDepth: this.maxBundleDepth});
+    }
+    const {count} = await this.find({
+      query: {bundledBy: bundleId}, includeTrashed: true,
+      options: {count: true}
+    });
+    if(count >= this.maxBundleSize) {
+      const {doc} = (await this.getMany({ids: [id], includeTrashed: true}))[0];
+      if(!doc?.meta.bundledBy?.includes(bundleId)) {
+        throw _createSizeError({bundleId, maxBundleSize: this.maxBundleSize});
       }
     }
+    const doc = await this._linkToBundle({bundleId, id, dependent});
+    await this._updateMeta({id: bundleId, mutate: meta => {
+      meta.bundle = true;
+    }});
+    return doc;
+  }
+
+  // see `removeFromBundle()`
+  async _removeFromBundle({bundleId, id} = {}) {
+    const {unlinked, deleted} = await this._unlinkFromBundle(
+      {bundleId, filter: ref => _getCredentialId(ref.doc) === id});
+    const removed = unlinked.includes(id) || deleted.includes(id);
+    return {removed, unlinked, deleted};
   }
 
   // called from `insert` and `upsert` to add bundle contents
   async _addBundleContents({bundleId, bundleContents}) {
     // upsert all same-level bundle contents concurrently
     const actions = bundleContents.map(entry => {
-      const {credential, meta = {}, bundleContents, dependent = true} = entry;
+      const {
+        credential, format, meta = {}, bundleContents, dependent = true
+      } = entry;
       return () => {
+        if(credential === undefined) {
+          // link stored credential given by reference
+          return this._linkToBundle(
+            {bundleId, id: entry.id, dependent: entry.dependent});
+        }
         const m = {...meta};
         if(dependent) {
           m.dependent = dependent;
@@ -581,16 +1988,233 @@ export class VerifiableCredentialStore {
         const set = new Set(m.bundledBy || []);
         set.add(bundleId);
         m.bundledBy = [...set];
-        return this.upsert({credential, meta: m, bundleContents});
+        return this._upsert({credential, format, meta: m, bundleContents});
       };
     });
     await pAll(actions, {concurrency: OPS_CONCURRENCY, stopOnError: true});
   }
 
-  // called from `delete` as a helper within a concurrent ops handling loop
-  async _delete({id, docId, deleteBundle, force}) {
+  // throws a `NotFoundError` if any credential given by reference in
+  // `bundleContents` is not stored
+  async _assertReferencesExist({bundleContents}) {
+    const ids = bundleContents.filter(e => e.credential === undefined)
+      .map(({id}) => id);
+    if(ids.length === 0) {
+      return;
+    }
+    const results = await this.getMany({ids});
+    const missing = results.find(({error}) => error);
+    if(missing) {
+      const error = new Error(
+        `Credential "${missing.id}" in bundle contents not found.`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+  }
+
+  // throws a `ConstraintError` if adding `bundleContents` to bundle
+  // `bundleId` (which is bundled by `bundledBy`) would form a cycle with the
+  // bundle contents or the stored bundles or exceed the bundle limits
+  async _assertBundleConstraints({bundleId, bundledBy = [], bundleContents}) {
+    const {maxBundleDepth, maxBundleSize} = this;
+
+    // walk the bundle contents, recording each bundle's path from `bundleId`
+    const edges = [];
+    let depth = 0;
+    const next = [{path: [bundleId], contents: bundleContents}];
+    while(next.length > 0) {
+      const {path, contents} = next.pop();
+      const parentId = path.at(-1);
+      if(contents.length > maxBundleSize) {
+        throw _createSizeError({bundleId: parentId, maxBundleSize});
+      }
+      depth = Math.max(depth, path.length);
+      if(depth > maxBundleDepth) {
+        throw _createDepthError({bundleId, maxBundleDepth});
+      }
+      for(const entry of contents) {
+        const id = _getEntryId(entry);
+        if(id === undefined) {
+          continue;
+        }
+        if(path.includes(id)) {
+          throw _createCycleError({id});
+        }
+        edges.push({path, id});
+        if(entry.bundleContents?.length > 0) {
+          next.push({path: [...path, id], contents: entry.bundleContents});
+        }
+      }
+    }
+
+    // check the stored bundles that bundle `bundleId` or any sub-bundle
+    const bundleIds = new Set([bundleId, ...edges.map(e => e.path).flat()]);
+    const graph = await this._getBundlerGraph(
+      {ids: [...bundleIds, ...bundledBy]});
+    graph.set(bundleId, _union(graph.get(bundleId), bundledBy));
+    if(_getBundlerDepth({graph, id: bundleId}) + depth > maxBundleDepth) {
+      throw _createDepthError({bundleId, maxBundleDepth});
+    }
+    for(const {path, id} of edges) {
+      if(path.some(p => _getBundlers({graph, id: p}).has(id))) {
+        throw _createCycleError({id});
+      }
+    }
+  }
+
+  // gets the graph of stored bundles that (transitively) bundle the
+  // credentials with the given IDs as a map of each credential ID to the IDs
+  // in its `meta.bundledBy`; unless `includeTrashed` is set, trashed bundles
+  // (see `softDelete`) are left out of the graph
+  async _getBundlerGraph({ids, useCache = false, includeTrashed = true}) {
+    const graph = new Map();
+    const hidden = new Set();
+    let next = [...new Set(ids)];
+    while(next.length > 0) {
+      const results = await this.getMany(
+        {ids: next, useCache, includeTrashed: true});
+      next = [];
+      for(const {id, doc} of results) {
+        if(doc && this._isHidden({doc, includeTrashed})) {
+          hidden.add(id);
+        } else {
+          graph.set(id, doc?.meta.bundledBy ?? []);
+        }
+      }
+      for(const {id} of results) {
+        for(const bundlerId of graph.get(id) ?? []) {
+          if(!(graph.has(bundlerId) || hidden.has(bundlerId)) &&
+            !next.includes(bundlerId)) {
+            next.push(bundlerId);
+          }
+        }
+      }
+    }
+    if(hidden.size > 0) {
+      for(const [id, bundledBy] of graph) {
+        graph.set(id, bundledBy.filter(bundlerId => !hidden.has(bundlerId)));
+      }
+    }
+    return graph;
+  }
+
+  // gets the IDs in `bundledBy` of the bundles that are not trashed (see
+  // `softDelete`); trashed bundles keep their contents linked so that they
+  // can be restored, but are otherwise ignored
+  async _getVisibleBundlers({bundledBy, useCache = false}) {
+    if(!this.softDelete || bundledBy.length === 0) {
+      return bundledBy;
+    }
+    const results = await this.getMany(
+      {ids: bundledBy, useCache, includeTrashed: true});
+    return results.filter(({doc}) => !(doc && this._isHidden({doc})))
+      .map(({id}) => id);
+  }
+
+  // adds `bundleId` to the `bundledBy` of the stored credential `id`
+  async _linkToBundle({bundleId, id, dependent}) {
+    return this._updateMeta({id, mutate: meta => {
+      meta.bundledBy = _union(meta.bundledBy ?? [], [bundleId]);
+      if(dependent) {
+        meta.dependent = true;
+      } else if(dependent === false) {
+        delete meta.dependent;
+      }
+    }});
+  }
+
+  // unlinks the contents of bundle `bundleId` that pass `filter` from the
+  // bundle, deleting any that are dependent and no longer bundled (as with
+  // `delete()`), and returns the IDs of the unlinked and deleted credentials
+  async _unlinkFromBundle({bundleId, filter}) {
+    // loop to handle concurrent updates
+    const operations = [];
+    let empty;
+    while(true) {
+      try {
+        const {bundle} = await this._getBundle({id: bundleId});
+        const removed = bundle.contents.filter(filter);
+        empty = removed.length === bundle.contents.length;
+        if(removed.length > 0) {
+          const result = await this._deleteBundledDocs(
+            {bundle: {id: bundleId, contents: removed}});
+          operations.push(...result.operations);
+        }
+        break;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+        // loop to try again
+      }
+    }
+    if(empty && operations.length > 0) {
+      // credential is no longer a bundle
+      await this._updateMeta({id: bundleId, mutate: meta => {
+        if(meta.bundle) {
+          delete meta.bundle;
+        }
+      }}).catch(e => {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+      });
+    }
+
+    const unlinked = [];
+    const deleted = [];
+    for(const {type, doc} of operations) {
+      (type === 'delete' ? deleted : unlinked).push(_getCredentialId(doc));
+    }
+    return {unlinked, deleted};
+  }
+
+  // changes the meta data of the stored credential `id` via `mutate`,
+  // looping to handle concurrent updates
+  async _updateMeta({id, mutate}) {
+    while(true) {
+      const doc = await this.get({id, includeTrashed: true});
+      const before = canonicalize(doc.meta);
+      const {bundledBy = []} = doc.meta;
+      mutate(doc.meta);
+      if(canonicalize(doc.meta) === before) {
+        return doc;
+      }
+      try {
+        const result = await this.edvClient.update({doc});
+        // the cached doc is stale
+        this._evict({doc, result});
+        this._emitChange({type: 'updated', doc: result, bundledBy});
+        return result;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+        // loop to try again
+      }
+    }
+  }
+
+  // called from `delete` and `purge`, looping to handle concurrent updates
+  async _retryDelete(options) {
+    while(true) {
+      try {
+        return await this._delete(options);
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+        // loop to try again
+      }
+    }
+  }
+
+  // called from `_retryDelete` as a helper within a concurrent ops handling
+  // loop; returns `{deleted, doc, bundle, operations}`
+  async _delete({id, docId, deleteBundle, force, dryRun, softDelete}) {
     let doc;
     let bundle;
+    const operations = [];
     try {
       if(docId) {
         // fetch doc by `docId`
@@ -599,7 +2223,7 @@ export class VerifiableCredentialStore {
           id = doc.content?.id;
         } catch(e) {
           if(e.name === 'NotFoundError') {
-            return {deleted: false, doc, bundle};
+            return {deleted: false, doc, bundle, operations};
           }
           throw e;
         }
@@ -624,21 +2248,37 @@ export class VerifiableCredentialStore {
         throw bundleResult;
       }
 
+      if(softDelete && doc && _isTrashed(doc)) {
+        // already trashed
+        return {deleted: false, doc: undefined, bundle, operations};
+      }
+
       // if another VC bundles the VC to be deleted, then throw
-      if(!force && doc && doc.meta.bundledBy &&
-        doc.meta.bundledBy.length > 0) {
+      const bundledBy = !force && doc ? await this._getVisibleBundlers(
+        {bundledBy: doc.meta.bundledBy ?? []}) : [];
+      if(bundledBy.length > 0) {
         const error = new Error(
           'Cannot delete credential; all other credentials that bundle it ' +
-          'must be deleted first.');
+          `must be deleted first: ${bundledBy.join(', ')}`);
         error.name = 'ConstraintError';
+        error.bundlers = bundledBy;
         throw error;
       }
 
       if(bundleResult.allSubDocuments.length > 0) {
         if(deleteBundle) {
           // delete / unlink the bundled docs first so if this operation
-          // fails, a delete can be attempted again later
-          ({bundle} = await this._deleteBundledDocs(bundleResult));
+          // fails, a delete can be attempted again later; to only plan the
+          // operations (for a dry run or soft delete), use copies of the
+          // (possibly cached) docs
+          const plan = dryRun || softDelete;
+          const result = await this._deleteBundledDocs({
+            bundle: plan ?
+              structuredClone(bundleResult.bundle) : bundleResult.bundle,
+            dryRun: plan
+          });
+          bundle = softDelete ? bundleResult.bundle : result.bundle;
+          operations.push(...result.operations);
         } else if(!force) {
           const error = new Error(
             'Cannot delete credential; other credentials are bundled by it.');
@@ -647,21 +2287,92 @@ export class VerifiableCredentialStore {
         }
       }
 
+      if(softDelete) {
+        return this._trash({
+          id, doc, bundle, operations,
+          subDocuments: bundleResult.allSubDocuments, dryRun
+        });
+      }
+
       if(!doc) {
         // no doc found
-        return {deleted: !!bundle, doc, bundle};
+        return {deleted: !dryRun && !!bundle, doc, bundle, operations};
       }
 
-      await this.edvClient.delete({doc});
-      return {deleted: true, doc, bundle};
+      operations.push({type: 'delete', doc});
+      if(!dryRun) {
+        await this.edvClient.delete({doc});
+        this._evict({doc});
+        this._emitChange(
+          {type: 'deleted', doc, bundledBy: doc.meta.bundledBy});
+      }
+      return {deleted: !dryRun, doc, bundle, operations};
     } catch(e) {
       if(e.name === 'NotFoundError') {
-        return {deleted: !!bundle, doc, bundle};
+        return {deleted: !dryRun && !!bundle, doc, bundle, operations};
       }
       throw e;
     }
   }
 
+  // called from `_delete` to mark `doc` (if found) and the sub documents that
+  // the planned `operations` would delete as trashed instead
+  async _trash({id, doc, bundle, operations, subDocuments, dryRun}) {
+    const now = Date.now();
+    const trashedBy = doc ? _getCredentialId(doc) : id;
+    const docs = new Map(subDocuments.map(d => [d.id, d]));
+    const trash = operations.filter(({type}) => type === 'delete')
+      .map(({doc}) => docs.get(doc.id));
+    if(doc) {
+      trash.push(doc);
+    }
+    const ops = trash.map(d => ({
+      type: 'trash',
+      doc: {...d, meta: {...d.meta, trashed: now, trashedBy}}
+    }));
+    if(doc) {
+      doc = ops.at(-1).doc;
+    }
+    if(dryRun) {
+      return {deleted: false, doc, bundle, operations: ops};
+    }
+
+    // trash any dependents before the credential itself so if this operation
+    // fails, a delete can be attempted again later
+    const updates = ops.map(({doc}) => ({type: 'update', doc}));
+    await this._runOps({
+      ops: doc ? updates.slice(0, -1) : updates, stopOnError: true
+    });
+    if(doc) {
+      await this._runOps({ops: updates.slice(-1)});
+    }
+    return {deleted: ops.length > 0, doc, bundle, operations: ops};
+  }
+
+  // called from `restore` and `upsert` to restore the credentials trashed
+  // by the deletion of `id`
+  async _restore({id}) {
+    const {documents} = await this.edvClient.find(
+      {equals: [{'meta.trashedBy': id}]});
+
+    // restore the trashed dependents first so that the bundle is complete
+    // once the credential itself is restored
+    const mutate = meta => {
+      if(meta.trashedBy === id) {
+        delete meta.trashed;
+        delete meta.trashedBy;
+      }
+    };
+    const ids = documents.map(_getCredentialId);
+    await pAll(
+      ids.filter(i => i !== id).map(id => () => this._updateMeta({id, mutate})),
+      {concurrency: OPS_CONCURRENCY, stopOnError: true});
+    if(ids.includes(id)) {
+      await this._updateMeta({id, mutate});
+    }
+    return {restored: ids};
+  }
+
   // get all docs involved in a bundle
   async _getBundle({id} = {}) {
     // first, recursively load docs in bundles
@@ -686,12 +2397,11 @@ export class VerifiableCredentialStore {
       bundle(s) connecting VCs together and finding and deleting any orphaned,
       dependent VCs.
 
-      Code to do this automatically is not provided in the current version of
-      this module. */
+      See `verifyIntegrity()` and `repair()` to do this. */
 
       // load all bundled docs with a single query
       const query = bundleIds.map(id => ({bundledBy: id}));
-      const {documents: docs} = await this.find({query});
+      const {documents: docs} = await this.find({query, includeTrashed: true});
       bundleIds = [];
       for(const doc of docs) {
         // skip root bundle VC and any already retrieved docs
@@ -747,8 +2457,10 @@ export class VerifiableCredentialStore {
     return {bundle, allSubDocuments};
   }
 
-  // delete or unlink bundled docs from the given bundle
-  async _deleteBundledDocs({bundle} = {}) {
+  // delete or unlink bundled docs from the given bundle, returning the bundle
+  // and the `{type, doc}` operations that were run (or, if `dryRun` is set,
+  // that would be run; note that the docs in `bundle` are changed either way)
+  async _deleteBundledDocs({bundle, dryRun = false} = {}) {
     // recursively iterate through bundle contents, stopping recursion at any
     // independent VCs
     let next = [bundle];
@@ -809,6 +2521,16 @@ export class VerifiableCredentialStore {
       }
     }
 
+    // order bundle ops such that each bundle is updated / deleted only
+    // after all of the bundles it contains; this is done before running any
+    // ops so that a cycle is detected before anything changes
+    const layers = _getBundleOpLayers({ops: [...bundleOps]});
+    const operations = [...operationMap.values()].map(
+      ({type, doc}) => ({type, doc}));
+    if(dryRun) {
+      return {bundle, operations};
+    }
+
     // process all non-bundle ops in parallel
     try {
       await this._runOps({ops: [...nonBundleOps]});
@@ -825,29 +2547,15 @@ export class VerifiableCredentialStore {
       throw e;
     }
 
-    /* Note: This could be further optimized by sorting bundle VCs into groups
-    that can be deleted in parallel. A new version could add this optimization
-    in the future. */
-
-    // determine bundle deletion order
-    const sorted = [...bundleOps].sort((a, b) => {
-      // if `a` is before `b`, it comes first and vice versa
-      if(a.before.has(b.doc.content.id)) {
-        return -1;
-      }
-      if(b.before.has(a.doc.content.id)) {
-        return 1;
-      }
-      return 0;
-    });
-
-    // run bundle ops in serial
-    await this._runOps({ops: sorted, concurrency: 1, stopOnError: true});
+    // run each layer of bundle ops in parallel, one layer at a time
+    for(const ops of layers) {
+      await this._runOps({ops, stopOnError: true});
+    }
 
-    return {bundle};
+    return {bundle, operations};
   }
 
-  async _convertQueryByExample({credentialQuery} = {}) {
+  async _convertQueryByExample({credentialQuery, findOptions = {}} = {}) {
     assert.objectOrArrayOfObjects(credentialQuery, 'credentialQuery');
 
     // normalize query to be an array
@@ -856,8 +2564,10 @@ export class VerifiableCredentialStore {
 
     // build local queries
     const queries = [];
+    const examples = [];
+    const trustedIssuers = [];
     for(const q of query) {
-      const {example, trustedIssuer = []} = q;
+      const {example, trustedIssuer = [], issuerQuery} = q;
       assert.object(example, 'credentialQuery.example');
 
       const {type} = example;
@@ -867,28 +2577,44 @@ export class VerifiableCredentialStore {
       }
 
       // normalize to arrays
-      const trustedIssuers = Array.isArray(trustedIssuer) ?
+      const trustedIssuerEntries = Array.isArray(trustedIssuer) ?
         trustedIssuer : [trustedIssuer];
       const types = Array.isArray(type) ? type : [type];
 
-      // build query to find all VCs that match any combination of type+issuer
-      const query = [];
-
-      // get issuer IDs
-      const issuers = trustedIssuers.map(({id}) => {
-        if(id) {
-          return id;
+      // get issuer IDs, resolving any delegated trust
+      const issuerQueries = [];
+      if(issuerQuery !== undefined) {
+        issuerQueries.push(issuerQuery);
+      }
+      const issuers = new Set();
+      for(const entry of trustedIssuerEntries) {
+        const id = entry.id ?? entry.issuer;
+        if(typeof id === 'string') {
+          issuers.add(id);
+        } else if(entry.issuerQuery !== undefined) {
+          issuerQueries.push(entry.issuerQuery);
+        } else {
+          const error = new Error(
+            '"credentialQuery.trustedIssuer" entries must have an "id", ' +
+            'an "issuer", or an "issuerQuery".');
+          error.name = 'NotSupportedError';
+          throw error;
         }
-        // future version could do internal queries to find trusted issuer IDs
-        // and return additional information along with `queries` below
-        const error = new Error(
-          '"credentialQuery.trustedIssuer" without an "id" is not supported.');
-        error.name = 'NotSupportedError';
-        throw error;
-      });
+      }
+      const accreditations = [];
+      for(const issuerQuery of issuerQueries) {
+        const result = await this._resolveIssuerQuery(
+          {issuerQuery, findOptions});
+        result.issuers.forEach(id => issuers.add(id));
+        accreditations.push(...result.accreditations);
+      }
+      const restricted = trustedIssuerEntries.length > 0 ||
+        issuerQueries.length > 0;
 
+      // build query to find all VCs that match any combination of type+issuer
+      const query = [];
       for(const type of types) {
-        if(issuers.length === 0) {
+        if(!restricted) {
           query.push({type});
           continue;
         }
@@ -898,13 +2624,467 @@ export class VerifiableCredentialStore {
       }
 
       queries.push(query);
+      examples.push(example);
+      trustedIssuers.push({issuers: [...issuers], accreditations});
+    }
+
+    return {queries, examples, trustedIssuers};
+  }
+
+  // finds the stored accreditation credentials that match `issuerQuery` (one
+  // or more `QueryByExample` credential queries) and returns them along with
+  // the issuer IDs they name as their `credentialSubject.id`
+  async _resolveIssuerQuery({issuerQuery, findOptions}) {
+    const {
+      queries, examples, trustedIssuers
+    } = await this._convertQueryByExample(
+      {credentialQuery: issuerQuery, findOptions});
+    const results = await Promise.all(queries.map(
+      (query, i) => this.find({query, example: examples[i], ...findOptions})));
+    const issuers = new Set();
+    // include accreditations from any further delegation
+    const accreditations = trustedIssuers.flatMap(t => t.accreditations);
+    for(const {documents} of results) {
+      for(const doc of documents) {
+        const {credentialSubject} = getMatchableCredential({doc});
+        const subjects = Array.isArray(credentialSubject) ?
+          credentialSubject : [credentialSubject];
+        const ids = subjects.map(s => s?.id).filter(
+          id => typeof id === 'string');
+        if(ids.length > 0 && !accreditations.some(a => a.id === doc.id)) {
+          ids.forEach(id => issuers.add(id));
+          accreditations.push(doc);
+        }
+      }
+    }
+    return {issuers: [...issuers], accreditations};
+  }
+
+  // returns whether `doc` is hidden because it is trashed (see the
+  // `softDelete` constructor option)
+  _isHidden({doc, includeTrashed = false}) {
+    return this.softDelete && !includeTrashed && _isTrashed(doc);
+  }
+
+  // dispatches an `inserted`, `updated`, or `deleted` event for a doc and a
+  // `bundleChanged` event for each bundle that it was added to or removed
+  // from, given the IDs of the bundles that bundled it before (`bundledBy`)
+  _emitChange({type, doc, bundledBy = []}) {
+    const id = _getCredentialId(doc);
+    this.dispatchEvent(new CustomEvent(type, {detail: {id, doc}}));
+    const after = type === 'deleted' ? [] : doc.meta?.bundledBy ?? [];
+    for(const bundleId of _union(bundledBy, after)) {
+      const added = bundledBy.includes(bundleId) ? [] : [id];
+      const removed = after.includes(bundleId) ? [] : [id];
+      if(added.length > 0 || removed.length > 0) {
+        this.dispatchEvent(new CustomEvent('bundleChanged', {
+          detail: {id: bundleId, added, removed}
+        }));
+      }
+    }
+  }
+
+  // records a credential cache lookup (see `getCacheStats()`)
+  _countCacheLookup({hit}) {
+    this._cacheStats[hit ? 'hits' : 'misses']++;
+  }
+
+  // removes an updated or deleted doc from the caches of this instance and
+  // any others that share its `broadcastChannel`; the `persistentCache` copy
+  // is replaced by the written doc (`result`), if given, else it is removed
+  _evict({doc, result}) {
+    const entries = _getCacheEntries(doc);
+    this._evictEntries(entries);
+    this._broadcastEviction(entries);
+    if(result) {
+      this._persist({doc: result});
+    } else {
+      this._unpersist({docId: doc.id});
+    }
+  }
+
+  // removes the given credential IDs and EDV doc ID from the caches
+  _evictEntries({ids, docId} = {}) {
+    if(!(Array.isArray(ids) && typeof docId === 'string')) {
+      // ignore malformed messages from other instances
+      return;
+    }
+    for(const id of ids) {
+      this._credentialCache.delete(id);
+    }
+    this._docIdToCredentialIdCache.delete(docId);
+  }
+
+  // notifies other instances that share this instance's `broadcastChannel`
+  // that a doc was stored, updated, or deleted
+  _broadcastEviction({ids, docId}) {
+    this._channel?.postMessage({ids, docId});
+  }
+
+  // runs a write operation or, if there is a `writeQueue`, queues it if the
+  // EDV server cannot be reached or earlier operations are still queued
+  async _runOrQueue({method, options}) {
+    const {mutator} = options;
+    if(!this.writeQueue ||
+      (typeof mutator === 'function' && mutator !== defaultMutator)) {
+      // a custom mutator cannot be stored in the queue
+      return this._runOperation({method, options});
+    }
+    if(this._replay) {
+      // writes made during a replay run after it
+      await this._replay.catch(() => {});
+    }
+    if(await this.writeQueue.count() > 0) {
+      // earlier operations must be replayed first to keep their order
+      await this.replay();
+    }
+    if(await this.writeQueue.count() === 0) {
+      try {
+        return await this._runOperation({method, options});
+      } catch(e) {
+        if(!_isNetworkError(e)) {
+          throw e;
+        }
+        this._offline = true;
+      }
+    }
+    const queued = Date.now();
+    const queuedOptions = {...options};
+    if(mutator !== false) {
+      // the default mutator is used when the operation is replayed
+      delete queuedOptions.mutator;
+    }
+    if(method === 'insert' || method === 'upsert') {
+      // record when the change was made, not when it is replayed
+      queuedOptions.meta = {created: queued, updated: queued, ...options.meta};
+    }
+    const operationId = await this.writeQueue.add({
+      operation: {method, options: queuedOptions, queued}
+    });
+    return {queued: true, operationId};
+  }
+
+  // runs a (possibly queued) write operation
+  async _runOperation({method, options}) {
+    if(!WRITE_METHODS.includes(method)) {
+      throw new Error(`Invalid operation method "${method}".`);
+    }
+    if(method === 'delete') {
+      const result = await this._retryDelete(
+        {...options, softDelete: this.softDelete});
+      delete result.operations;
+      return result;
+    }
+    return this[`_${method}`](options);
+  }
+
+  // replays the `writeQueue`, dispatching a `replayed` or `replayFailed`
+  // event; must only be run via `replay()`
+  async _replayQueue() {
+    let result;
+    try {
+      result = await this._replayOperations();
+    } catch(error) {
+      this.dispatchEvent(new CustomEvent('replayFailed', {detail: {error}}));
+      throw error;
+    }
+    this.dispatchEvent(new CustomEvent('replayed', {detail: result}));
+    return result;
+  }
+
+  async _replayOperations() {
+    const outcomes = [];
+    for(const {id: operationId, method, options} of
+      await this.writeQueue.getAll()) {
+      let outcome;
+      try {
+        outcome = {result: await this._replayOperation({method, options})};
+      } catch(error) {
+        if(_isNetworkError(error)) {
+          // the EDV server cannot be reached (again); stop
+          this._offline = true;
+          break;
+        }
+        outcome = {error};
+      }
+      await this.writeQueue.delete({id: operationId});
+      outcomes.push({operationId, method, ...outcome});
+    }
+    return {outcomes, pending: await this.writeQueue.count()};
+  }
+
+  // runs a queued write operation; a queued insert may have been partially
+  // completed before the EDV server could no longer be reached, e.g., its
+  // credential was stored but not all of its bundle contents, so, if the
+  // same credential is already stored, it is completed via upsert instead
+  async _replayOperation({method, options}) {
+    try {
+      return await this._runOperation({method, options});
+    } catch(e) {
+      if(!(method === 'insert' && e.name === 'DuplicateError')) {
+        throw e;
+      }
+      const {credential, format, meta} = options;
+      const {id = credential.id} =
+        {...getCredentialMeta({credential, format}), ...meta};
+      let doc;
+      try {
+        doc = id && await this.get({id});
+      } catch(getError) {
+        if(getError.name !== 'NotFoundError') {
+          throw getError;
+        }
+      }
+      if(!(doc && canonicalize(doc.content) === canonicalize(credential))) {
+        // a different credential with the same ID is stored
+        throw e;
+      }
+      return this._upsert(options);
+    }
+  }
+
+  // runs an EDV query, serving it from the `persistentCache` (if any) if the
+  // EDV server cannot be reached
+  async _edvFind(query) {
+    let results;
+    try {
+      results = await this.edvClient.find(query);
+    } catch(e) {
+      if(!(this.persistentCache && _isNetworkError(e))) {
+        throw e;
+      }
+      this._offline = true;
+      return this._findPersisted(query);
+    }
+    this._setOnline();
+    for(const doc of results.documents ?? []) {
+      this._persist({doc});
+    }
+    return results;
+  }
+
+  // gets an EDV doc by EDV doc ID, serving it from the `persistentCache` (if
+  // any) if the EDV server cannot be reached
+  async _edvGet({id}) {
+    let doc;
+    try {
+      doc = await this.edvClient.get({id});
+    } catch(e) {
+      if(!(this.persistentCache && _isNetworkError(e))) {
+        throw e;
+      }
+      this._offline = true;
+      const record = await this.persistentCache.get({docId: id});
+      if(!record) {
+        // the doc may still exist on the EDV server
+        throw e;
+      }
+      return this._fromRecord(record);
     }
+    this._setOnline();
+    this._persist({doc});
+    return doc;
+  }
+
+  // called after an EDV request succeeds to replay queued writes and
+  // revalidate the `persistentCache` if the EDV server could not be reached
+  // before
+  _setOnline() {
+    if(this._offline) {
+      this._offline = false;
+      // replay failures are reported via `replayFailed` events
+      this.replay().catch(() => {});
+      this.revalidate().catch(() => {});
+    }
+  }
+
+  // runs an EDV query against the EDV docs in the `persistentCache`; only
+  // `equals`, `has`, `count`, and `limit` are supported
+  async _findPersisted({equals, has, count, limit}) {
+    // look up records by credential ID when possible, like the credential
+    // cache; otherwise, every record must be checked
+    const ids = _getEqualsIds(equals);
+    const records = ids ?
+      await Promise.all(ids.map(id => this.persistentCache.get({id}))) :
+      await this.persistentCache.getAll();
+    const unique = new Map();
+    for(const record of records) {
+      if(record) {
+        unique.set(record.docId, record);
+      }
+    }
+    const docs = await Promise.all(
+      [...unique.values()].map(record => this._fromRecord(record)));
+    const documents = docs.filter(doc => _matchesEdvQuery({doc, equals, has}));
+    if(count) {
+      return {count: documents.length};
+    }
+    if(limit !== undefined && documents.length > limit) {
+      return {documents: documents.slice(0, limit), hasMore: true};
+    }
+    return {documents, hasMore: false};
+  }
+
+  // gets the EDV doc from a `persistentCache` record
+  async _fromRecord({doc, decrypted}) {
+    if(decrypted) {
+      return doc;
+    }
+    // decrypt like `EdvClient.get()` does, using its cipher
+    const {cipher, keyAgreementKey} = this.edvClient;
+    const data = await cipher.decryptObject({jwe: doc.jwe, keyAgreementKey});
+    if(data === null) {
+      throw new Error('Decryption failed.');
+    }
+    const {content, meta, stream} = data;
+    const decryptedDoc = {...doc, content, meta};
+    if(stream !== undefined) {
+      decryptedDoc.stream = stream;
+    }
+    return decryptedDoc;
+  }
+
+  // stores an EDV doc in the `persistentCache` (if any); errors are ignored
+  // as documents can always be fetched again while the EDV server can be
+  // reached
+  async _persist({doc}) {
+    if(!this.persistentCache) {
+      return;
+    }
+    let value = doc;
+    if(!this.persistDecrypted) {
+      if(!doc.jwe) {
+        // encrypted doc not available
+        return;
+      }
+      value = {...doc};
+      delete value.content;
+      delete value.meta;
+    }
+    const {ids, docId} = _getCacheEntries(doc);
+    const record = {
+      docId, ids, sequence: doc.sequence, doc: value,
+      decrypted: this.persistDecrypted
+    };
+    try {
+      await this.persistentCache.put({record});
+    } catch(e) {}
+  }
+
+  // removes an EDV doc from the `persistentCache` (if any)
+  async _unpersist({docId}) {
+    try {
+      await this.persistentCache?.delete({docId});
+    } catch(e) {}
+  }
+
+  // adds the given EDV docs to the credential cache
+  _cacheDocuments({docs}) {
+    for(const doc of docs) {
+      const credentialId = doc.content?.id ?? doc.meta?.id;
+      if(credentialId) {
+        this._credentialCache.cache.set(credentialId, Promise.resolve(doc));
+      }
+    }
+  }
+
+  // fetches EDV docs by EDV doc ID, concurrently, using the caches if allowed
+  async _getDocuments({docIds, useCache}) {
+    return Promise.all(docIds.map(async id => {
+      let doc;
+      // note: this could perhaps be improved by running `memoize()` on
+      // `_docIdToCredentialIdCache`, but care needs to be taken not to
+      // cause every lookup in that cache to wait for all pending EDV
+      // fetches to return
+      let credentialId = useCache &&
+        await this._docIdToCredentialIdCache.cache.get(id);
+      if(credentialId) {
+        doc = await this._credentialCache.cache.get(credentialId);
+      }
+      if(useCache) {
+        this._countCacheLookup({hit: !!doc});
+      }
+      // the credential's doc may have been evicted from its cache
+      if(!doc) {
+        doc = await this._edvGet({id});
+        credentialId = doc.content?.id ?? doc.meta?.id;
+        // update caches with result
+        if(credentialId) {
+          this._docIdToCredentialIdCache.cache.set(
+            id, Promise.resolve(credentialId));
+          this._credentialCache.cache.set(
+            credentialId, Promise.resolve(doc));
+        }
+      }
+      return doc;
+    }));
+  }
+
+  // fetches every stored EDV document (without using the cache); docs of
+  // credentials stored before `meta.id` was set are found via `content.id`;
+  // returns `{documents, hasMore}` where `hasMore` is set if the EDV server
+  // did not return every match (EDV queries cannot skip results, so the
+  // remaining documents cannot be fetched)
+  async _getAllDocuments() {
+    const results = await Promise.all(['meta.id', 'content.id'].map(
+      attribute => this.edvClient.find(
+        {has: [attribute], returnDocuments: false})));
+    const docIds = new Set();
+    let hasMore = false;
+    for(const {documentIds, documents, hasMore: more} of results) {
+      (documentIds ?? documents.map(({id}) => id)).forEach(
+        id => docIds.add(id));
+      hasMore = hasMore || !!more;
+    }
+    const documents = await this._getDocuments(
+      {docIds: [...docIds], useCache: false});
+    return {documents, hasMore};
+  }
 
-    return {queries};
+  // ensures EDV find `results` include `documents` instead of `documentIds`
+  async _resolveDocuments({results, useCache}) {
+    if(results.documentIds) {
+      results.documents = await this._getDocuments(
+        {docIds: results.documentIds, useCache});
+      delete results.documentIds;
+    } else if(results.documents) {
+      this._cacheDocuments({docs: results.documents});
+    }
+  }
+
+  // selects the page of documents identified by `cursor` and `limit` from EDV
+  // find `results` that pass `filter`, fetching only as many documents as
+  // needed to fill the page
+  async _selectFilteredPage({results, cursor, limit, filter, useCache}) {
+    const {documentIds} = results;
+    const entries = documentIds ?? results.documents ?? [];
+    const ids = documentIds ?? entries.map(({id}) => id);
+    let next = _getPageStart({ids, cursor});
+    const documents = [];
+    while(next < entries.length &&
+      (limit === undefined || documents.length < limit)) {
+      const count = limit === undefined ?
+        entries.length - next : limit - documents.length;
+      const batch = entries.slice(next, next + count);
+      next += batch.length;
+      let docs = batch;
+      if(documentIds) {
+        docs = await this._getDocuments({docIds: batch, useCache});
+      } else {
+        this._cacheDocuments({docs});
+      }
+      documents.push(...docs.filter(filter));
+    }
+    results.documents = documents;
+    delete results.documentIds;
+    delete results.hasMore;
+    if(next < entries.length) {
+      results.nextCursor = _encodeCursor({offset: next, after: ids[next - 1]});
+    }
   }
 
   async _getUncached({id}) {
-    const {documents: [doc]} = await this.edvClient.find({
+    const {documents: [doc]} = await this._edvFind({
       equals: [{'content.id': id}, {'meta.id': id}]
     });
     if(!doc) {
@@ -920,10 +3100,22 @@ export class VerifiableCredentialStore {
     const actions = [];
     for(const op of ops) {
       const {doc} = op;
+      // ops that unlink docs from bundles include the IDs of the bundles
+      // that the doc was unlinked from `before`
+      const bundledBy = _union(doc.meta.bundledBy, [...op.before ?? []]);
       if(op.type === 'update') {
-        actions.push(() => this.edvClient.update({doc}));
+        actions.push(async () => {
+          const result = await this.edvClient.update({doc});
+          // the cached doc is stale
+          this._evict({doc, result});
+          this._emitChange({type: 'updated', doc: result, bundledBy});
+        });
       } else if(op.type === 'delete') {
-        actions.push(() => this.edvClient.delete({doc}));
+        actions.push(async () => {
+          await this.edvClient.delete({doc});
+          this._evict({doc});
+          this._emitChange({type: 'deleted', doc, bundledBy});
+        });
       } else {
         throw new Error(`Invalid operation type "${op.type}".`);
       }
@@ -984,17 +3176,313 @@ export function defaultMutator({doc, credential, meta}) {
   return doc;
 }
 
-function _getIssuer({credential}) {
-  const {issuer} = credential;
-  if(!issuer) {
-    throw new Error('"credential.issuer" must be an object or string.');
+function _convertDIDAuthentication({query}) {
+  const {acceptedMethods = [], acceptedCryptosuites = []} = query;
+  const result = {
+    // normalize to arrays
+    acceptedMethods: Array.isArray(acceptedMethods) ?
+      acceptedMethods : [acceptedMethods],
+    acceptedCryptosuites: Array.isArray(acceptedCryptosuites) ?
+      acceptedCryptosuites : [acceptedCryptosuites]
+  };
+  if(!result.acceptedMethods.every(m => typeof m?.method === 'string')) {
+    throw new TypeError(
+      '"acceptedMethods" in a "DIDAuthentication" query must be an array ' +
+      'of objects with a "method" string.');
+  }
+  if(!result.acceptedCryptosuites.every(
+    c => typeof c?.cryptosuite === 'string')) {
+    throw new TypeError(
+      '"acceptedCryptosuites" in a "DIDAuthentication" query must be an ' +
+      'array of objects with a "cryptosuite" string.');
+  }
+  return result;
+}
+
+function _createCycleError({id}) {
+  const error = new Error(
+    `Credential "${id}" cannot be bundled by itself, directly or ` +
+    'indirectly; bundles must not form a cycle.');
+  error.name = 'ConstraintError';
+  return error;
+}
+
+function _createDepthError({bundleId, maxBundleDepth}) {
+  const error = new Error(
+    `Bundle "${bundleId}" would exceed the maximum bundle depth of ` +
+    `${maxBundleDepth}.`);
+  error.name = 'ConstraintError';
+  return error;
+}
+
+function _createSizeError({bundleId, maxBundleSize}) {
+  const error = new Error(
+    `Bundle "${bundleId}" would exceed the maximum bundle size of ` +
+    `${maxBundleSize} credentials.`);
+  error.name = 'ConstraintError';
+  return error;
+}
+
+function _createComparator({field, direction = 'asc'}) {
+  const path = field.split('.');
+  const sign = direction === 'desc' ? -1 : 1;
+  return (a, b) => {
+    const x = path.reduce((value, key) => value?.[key], a);
+    const y = path.reduce((value, key) => value?.[key], b);
+    // documents without a value always sort last
+    if(x === undefined || y === undefined) {
+      if(x === y) {
+        return _compareIds(a, b);
+      }
+      return x === undefined ? 1 : -1;
+    }
+    if(x !== y) {
+      return x < y ? -sign : sign;
+    }
+    // break ties using EDV doc IDs to ensure a stable order across pages
+    return _compareIds(a, b);
+  };
+}
+
+function _compareIds(a, b) {
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function _decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(atob(cursor));
+  } catch(e) {}
+  if(!(decoded && Number.isSafeInteger(decoded.offset) &&
+    decoded.offset >= 0)) {
+    throw new TypeError('"options.cursor" is not a valid cursor.');
+  }
+  return decoded;
+}
+
+function _encodeCursor({offset, after}) {
+  return btoa(JSON.stringify({offset, after}));
+}
+
+// sorts bundle ops into layers of ops that can be run in parallel, where
+// the ops in each layer must run after those in the previous layers; an op
+// on a doc must run before any op on a bundle the doc was unlinked from
+// (`op.before`) so that bundles are removed from the bottom up
+function _getBundleOpLayers({ops}) {
+  // count the ops that must run before each op
+  const opsById = new Map(ops.map(op => [_getCredentialId(op.doc), op]));
+  const pending = new Map(ops.map(op => [op, 0]));
+  for(const op of ops) {
+    for(const bundleId of op.before) {
+      const bundleOp = opsById.get(bundleId);
+      if(bundleOp) {
+        pending.set(bundleOp, pending.get(bundleOp) + 1);
+      }
+    }
+  }
+
+  const layers = [];
+  let layer = ops.filter(op => pending.get(op) === 0);
+  let count = 0;
+  while(layer.length > 0) {
+    layers.push(layer);
+    count += layer.length;
+    const next = [];
+    for(const op of layer) {
+      for(const bundleId of op.before) {
+        const bundleOp = opsById.get(bundleId);
+        if(!bundleOp) {
+          continue;
+        }
+        const remaining = pending.get(bundleOp) - 1;
+        pending.set(bundleOp, remaining);
+        if(remaining === 0) {
+          next.push(bundleOp);
+        }
+      }
+    }
+    layer = next;
+  }
+  if(count < ops.length) {
+    const error = new Error(
+      'Cannot delete bundle; the credentials it bundles form a cycle.');
+    error.name = 'ConstraintError';
+    throw error;
+  }
+  return layers;
+}
+
+// gets the IDs of every bundle that (transitively) bundles `id` in `graph`
+// (see `_getBundlerGraph()`)
+function _getBundlers({graph, id}) {
+  const bundlers = new Set();
+  const next = [...graph.get(id) ?? []];
+  while(next.length > 0) {
+    const bundlerId = next.pop();
+    if(!bundlers.has(bundlerId)) {
+      bundlers.add(bundlerId);
+      next.push(...graph.get(bundlerId) ?? []);
+    }
+  }
+  return bundlers;
+}
+
+// gets the length of the longest chain of bundles that bundle `id` in
+// `graph` (see `_getBundlerGraph()`)
+function _getBundlerDepth({graph, id, depths = new Map()}) {
+  if(depths.has(id)) {
+    return depths.get(id);
+  }
+  // guard against any cycle already in storage
+  depths.set(id, 0);
+  let depth = 0;
+  for(const bundlerId of graph.get(id) ?? []) {
+    depth = Math.max(
+      depth, 1 + _getBundlerDepth({graph, id: bundlerId, depths}));
+  }
+  depths.set(id, depth);
+  return depth;
+}
+
+// gets the credential cache keys (credential IDs) and EDV doc ID of a doc
+function _getCacheEntries(doc) {
+  const ids = [...new Set([doc.content?.id, doc.meta?.id])]
+    .filter(id => typeof id === 'string');
+  return {ids, docId: doc.id};
+}
+
+// gets the credential IDs from EDV query `equals` entries if every entry
+// only matches a credential ID
+function _getEqualsIds(equals) {
+  if(!(Array.isArray(equals) && equals.every(e => {
+    const [key, ...rest] = Object.keys(e);
+    return rest.length === 0 && (key === 'content.id' || key === 'meta.id') &&
+      typeof e[key] === 'string';
+  }))) {
+    return;
+  }
+  return [...new Set(equals.map(e => Object.values(e)[0]))];
+}
+
+// gets the ID of the credential stored in an EDV document
+function _getCredentialId(doc) {
+  return doc.content?.id ?? doc.meta?.id;
+}
+
+// gets the ID of the credential in an `insert()` / `upsert()` or bundle
+// contents entry, if it has one
+function _getEntryId({id, credential, format, meta}) {
+  if(credential === undefined) {
+    // stored credential given by reference
+    return id;
+  }
+  if(meta?.id !== undefined) {
+    return meta.id;
+  }
+  if(typeof credential === 'string') {
+    return getCredentialMeta({credential, format}).id;
+  }
+  return credential.id;
+}
+
+// gets the index in `ids` at which the page identified by `cursor` starts
+function _getPageStart({ids, cursor}) {
+  // prefer resuming after the last document seen in case results have
+  // shifted since the cursor was created
+  if(cursor.after !== undefined) {
+    const index = ids.indexOf(cursor.after);
+    if(index !== -1) {
+      return index + 1;
+    }
+  }
+  return cursor.offset;
+}
+
+// reduces EDV find `results` to the page identified by `cursor` and `limit`,
+// adding `nextCursor` to `results` if there are more results after the page
+function _selectPage({results, cursor, limit}) {
+  const key = results.documentIds ? 'documentIds' : 'documents';
+  const entries = results[key] ?? [];
+  const ids = key === 'documentIds' ? entries : entries.map(({id}) => id);
+  const start = _getPageStart({ids, cursor});
+  const end = limit === undefined ? entries.length : start + limit;
+  results[key] = entries.slice(start, end);
+  delete results.hasMore;
+  if(end < entries.length) {
+    results.nextCursor = _encodeCursor({offset: end, after: ids[end - 1]});
+  }
+}
+
+// gets the values of an EDV doc attribute path (e.g., `content.type`); like
+// EDV indexes, each element of an array value is a separate value
+function _getAttributeValues({doc, attribute}) {
+  let values = [doc];
+  for(const key of attribute.split('.')) {
+    values = values.flatMap(v => {
+      if(!(v && typeof v === 'object' && Object.hasOwn(v, key))) {
+        return [];
+      }
+      return Array.isArray(v[key]) ? v[key] : [v[key]];
+    });
+  }
+  return values;
+}
+
+// throws if the custom query `keys` in an EDV `equals` query `entry` cannot
+// all be matched using the given custom `indexes`; EDV clients ignore query
+// attributes that match no index, which would make the query match too many
+// documents, and can only use a compound index for a leading prefix of its
+// attributes
+function _assertIndexedQuery({entry, keys, indexes}) {
+  for(const key of keys) {
+    const indexed = indexes.some(attributes => {
+      const i = attributes.indexOf(key);
+      return i !== -1 && attributes.slice(0, i).every(a => a in entry);
+    });
+    if(!indexed) {
+      const error = new Error(
+        `Query key "${key}" can only be used along with the attributes ` +
+        'that precede it in its compound index.');
+      error.name = 'NotSupportedError';
+      throw error;
+    }
+  }
+}
+
+// checks whether an error was caused by the EDV server not being reachable
+// (as opposed to an error response from it); `fetch()` rejects with a
+// `TypeError` with a browser-specific message on network failures
+function _isNetworkError(e) {
+  if(e.response || e.status) {
+    return false;
+  }
+  return ['AbortError', 'NetworkError', 'TimeoutError'].includes(e.name) ||
+    (e.name === 'TypeError' && /fetch|network|load failed/i.test(e.message));
+}
+
+function _isTrashed(doc) {
+  return doc.meta?.trashed !== undefined;
+}
+
+function _isValidAt({doc, at}) {
+  // fall back to the credential's own validity period for docs stored
+  // before validity was recorded in `meta`
+  let {meta: {validFrom, validUntil} = {}} = doc;
+  if(validFrom === undefined && validUntil === undefined && doc.content) {
+    ({validFrom, validUntil} = getValidityPeriod({credential: doc.content}));
   }
-  if(!(typeof issuer === 'string' || typeof issuer.id === 'string')) {
-    throw new Error(
-      '"credential.issuer" must be a URI or an object containing an ' +
-      '"id" property.');
+  return !(validFrom > at || validUntil < at);
+}
+
+// checks whether an EDV doc matches the `equals` or `has` of an EDV query
+function _matchesEdvQuery({doc, equals, has}) {
+  if(equals) {
+    return equals.some(entry => Object.entries(entry).every(
+      ([attribute, value]) => _getAttributeValues({doc, attribute}).some(
+        v => canonicalize(v) === canonicalize(value))));
   }
-  return issuer.id || issuer;
+  return (has ?? []).every(
+    attribute => _getAttributeValues({doc, attribute}).length > 0);
 }
 
 function _union(a1, a2) {
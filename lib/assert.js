@@ -1,11 +1,30 @@
 /*!
- * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 const VALID_QUERY_KEYS = [
-  'bundledBy', 'displayable', 'id', 'issuer', 'type'
+  'bundledBy', 'displayable', 'format', 'id', 'issuer', 'type',
+  'vcdmVersion'
 ];
+const VALID_INDEX_PREFIXES = ['content.', 'meta.'];
+const VALID_SORT_FIELDS = ['meta.created', 'meta.updated'];
+const VALID_SORT_DIRECTIONS = ['asc', 'desc'];
 
-export {bundleContents, object, objectOrArrayOfObjects, query};
+export {
+  arrayOfObjects, arrayOfStrings, bundleContents, credential, func, indexes,
+  limit, object, objectOrArrayOfObjects, query, sort, string, timestamp
+};
+
+function arrayOfObjects(x, name) {
+  if(!(Array.isArray(x) && x.every(e => e && typeof e === 'object'))) {
+    throw new TypeError(`"${name}" must be an array of objects.`);
+  }
+}
+
+function arrayOfStrings(x, name) {
+  if(!(Array.isArray(x) && x.every(e => typeof e === 'string'))) {
+    throw new TypeError(`"${name}" must be an array of strings.`);
+  }
+}
 
 function bundleContents(x, name) {
   if(!Array.isArray(x)) {
@@ -16,27 +35,92 @@ function bundleContents(x, name) {
       throw new TypeError('Each element in bundle contents must be an object.');
     }
     const {
-      credential, meta = {}, bundleContents: subContents, dependent
+      id, credential: vc, format, meta = {}, bundleContents: subContents,
+      dependent
     } = entry;
-    if(!(credential && typeof credential === 'object')) {
-      throw new TypeError(
-        '"credential" in bundle contents must be an object.');
+    if(dependent !== undefined && typeof dependent !== 'boolean') {
+      throw new TypeError('"dependent" in bundle contents must be a boolean.');
+    }
+    if(vc === undefined) {
+      // a stored credential given by reference
+      if(typeof id !== 'string') {
+        throw new TypeError(
+          'Each element in bundle contents must have a "credential" or an ' +
+          '"id" string.');
+      }
+      if(!(format === undefined && entry.meta === undefined &&
+        subContents === undefined)) {
+        throw new TypeError(
+          '"format", "meta", and "bundleContents" must not be given for ' +
+          'bundle contents given by "id".');
+      }
+      continue;
     }
+    credential(vc, format, 'credential', {context: ' in bundle contents'});
     if(subContents) {
       bundleContents(subContents, 'bundleContents');
-      if(!credential.id) {
+      if(!vc.id) {
         throw new Error('"credential.id" must be a string to define a bundle.');
       }
     }
     if(meta !== undefined && !(meta && typeof meta === 'object')) {
       throw new TypeError('"meta" in bundle contents must be an object.');
     }
-    if(dependent !== undefined && typeof dependent !== 'boolean') {
-      throw new TypeError('"dependent" in bundle contents must be a boolean.');
+  }
+}
+
+function credential(x, format, name, {context = ''} = {}) {
+  if(typeof x === 'string') {
+    if(typeof format !== 'string') {
+      throw new TypeError(
+        `"format"${context} must be a string when "${name}" is a string.`);
+    }
+    return;
+  }
+  if(!(x && typeof x === 'object')) {
+    throw new TypeError(
+      `"${name}"${context} must be an object or a string.`);
+  }
+  if(format !== undefined && typeof format !== 'string') {
+    throw new TypeError(`"format"${context} must be a string.`);
+  }
+}
+
+function func(x, name) {
+  if(typeof x !== 'function') {
+    throw new TypeError(`"${name}" must be a function.`);
+  }
+}
+
+function indexes(x, name) {
+  if(!Array.isArray(x)) {
+    throw new TypeError(`"${name}" must be an array.`);
+  }
+  for(const entry of x) {
+    if(!(entry && typeof entry === 'object')) {
+      throw new TypeError(`Each element in "${name}" must be an object.`);
+    }
+    const {attribute, unique} = entry;
+    const attributes = Array.isArray(attribute) ? attribute : [attribute];
+    if(!(attributes.length > 0 && attributes.every(
+      a => typeof a === 'string' && VALID_INDEX_PREFIXES.some(
+        p => a.startsWith(p) && a.length > p.length)))) {
+      throw new TypeError(
+        `"attribute" in "${name}" must be a string or an array of strings ` +
+        `that each start with one of: ${VALID_INDEX_PREFIXES.join(', ')}`);
+    }
+    if(unique !== undefined && typeof unique !== 'boolean') {
+      throw new TypeError(`"unique" in "${name}" must be a boolean.`);
     }
   }
 }
 
+function limit(x, name) {
+  if(!(Number.isSafeInteger(x) && x >= 1)) {
+    throw new TypeError(`"${name}" must be a positive integer.`);
+  }
+}
+
 function object(x, name) {
   if(!(x && typeof x === 'object')) {
     throw new TypeError(`"${name}" must be an object.`);
@@ -50,10 +134,40 @@ function objectOrArrayOfObjects(x, name) {
   }
 }
 
-function query(x, name) {
+function query(x, name, {additionalKeys = []} = {}) {
+  const validKeys = [...VALID_QUERY_KEYS, ...additionalKeys];
   const keys = Object.keys(x);
-  if(!keys.every(k => VALID_QUERY_KEYS.includes(k))) {
+  if(!keys.every(k => validKeys.includes(k))) {
+    throw new Error(`"${name}" keys must be one of: ${validKeys.join(', ')}`);
+  }
+}
+
+function sort(x, name) {
+  object(x, name);
+  const {field, direction = 'asc'} = x;
+  if(!VALID_SORT_FIELDS.includes(field)) {
+    throw new Error(
+      `"${name}.field" must be one of: ${VALID_SORT_FIELDS.join(', ')}`);
+  }
+  if(!VALID_SORT_DIRECTIONS.includes(direction)) {
     throw new Error(
-      `"${name}" keys must be one of: ${VALID_QUERY_KEYS.join(', ')}`);
+      `"${name}.direction" must be one of: ` +
+      `${VALID_SORT_DIRECTIONS.join(', ')}`);
+  }
+}
+
+function string(x, name) {
+  if(typeof x !== 'string') {
+    throw new TypeError(`"${name}" must be a string.`);
+  }
+}
+
+// returns the given timestamp or `Date` as a millisecond timestamp
+function timestamp(x, name) {
+  const ms = x instanceof Date ? x.getTime() : x;
+  if(!Number.isFinite(ms)) {
+    throw new TypeError(
+      `"${name}" must be a millisecond timestamp or a valid Date.`);
   }
+  return ms;
 }
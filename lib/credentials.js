@@ -0,0 +1,284 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+const VCDM_1_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+const VCDM_2_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+
+// media types of enveloped credentials that are JOSE-secured (their claims
+// can be read without verification)
+const JOSE_MEDIA_TYPES = [
+  'application/vc+jwt', 'application/vc+sd-jwt', 'application/vc-ld+jwt',
+  'application/vc-ld+sd-jwt', 'application/dc+sd-jwt'
+];
+
+// formats of compact (string) credentials that can be stored: VCDM 1.1 JWT
+// VCs (`jwt_vc_json*`), VC-JOSE-COSE JOSE-secured VCs (`vc+jwt`,
+// `vc+sd-jwt`), and IETF SD-JWT VCs (`dc+sd-jwt`)
+const COMPACT_FORMATS = [
+  'jwt_vc_json', 'jwt_vc_json-ld', 'vc+jwt', 'vc+sd-jwt', 'dc+sd-jwt'
+];
+
+export {
+  COMPACT_FORMATS, decodeCompact, decodeEnvelope, getCredentialMeta,
+  getIssuer, getValidityPeriod, getVcdmVersion
+};
+
+/**
+ * Decodes the claims of a compact (JWT or SD-JWT) credential. The
+ * credential is NOT verified; its claims are only read to populate meta
+ * data.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.credential - The compact credential.
+ * @param {string} options.format - The format of the credential, one of
+ *   `COMPACT_FORMATS`.
+ *
+ * @returns {object} The decoded claims.
+ */
+function decodeCompact({credential, format}) {
+  if(!COMPACT_FORMATS.includes(format)) {
+    const error = new Error(
+      `Credential format "${format}" is not supported; supported formats ` +
+      `are: ${COMPACT_FORMATS.join(', ')}`);
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+  const claims = _decodeJws(credential);
+  if(!claims) {
+    throw new Error(
+      `"credential" is not a valid compact credential of format "${format}".`);
+  }
+  return claims;
+}
+
+/**
+ * Decodes the credential from an `EnvelopedVerifiableCredential`. The
+ * enveloped credential is NOT verified; its claims are only read to
+ * populate meta data.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credential - The `EnvelopedVerifiableCredential`.
+ *
+ * @returns {object|undefined} The decoded credential or `undefined` if the
+ *   credential is not an envelope or its envelope cannot be decoded.
+ */
+function decodeEnvelope({credential}) {
+  if(!_isEnveloped({credential})) {
+    return;
+  }
+  const parsed = _parseDataUrl(credential.id);
+  if(!(parsed && !parsed.base64 &&
+    JOSE_MEDIA_TYPES.includes(parsed.mediaType))) {
+    return;
+  }
+  return _decodeJws(parsed.data);
+}
+
+/**
+ * Gets the meta data that is derived from a credential (other than its
+ * issuer, see `getIssuer()`): `vcdmVersion`, `validFrom`, and `validUntil`
+ * and, for compact credentials, `format`, `type`, and `id` (from the `jti`
+ * claim or the `id` of the VC in the claims); for enveloped credentials,
+ * `type` is also set to the type of the enveloped credential; only values
+ * that can be determined are included.
+ *
+ * @param {object} options - The options to use.
+ * @param {object|string} options.credential - The credential.
+ * @param {string} [options.format] - The format of the credential, required
+ *   for compact credentials.
+ *
+ * @returns {object} The derived meta data.
+ */
+function getCredentialMeta({credential, format}) {
+  const meta = {};
+  if(format !== undefined) {
+    meta.format = format;
+  }
+  if(typeof credential === 'string') {
+    const claims = decodeCompact({credential, format});
+    const vc = _getClaimsCredential({claims});
+    const type = claims.vct ?? vc?.type;
+    if(type !== undefined) {
+      meta.type = Array.isArray(type) ? type : [type];
+    }
+    const id = claims.jti ?? vc?.id;
+    if(typeof id === 'string') {
+      meta.id = id;
+    }
+    credential = vc ?? {};
+    Object.assign(meta, _getClaimsValidityPeriod({claims}));
+  } else if(_isEnveloped({credential})) {
+    // record the type of the enveloped credential
+    const type = decodeEnvelope({credential})?.type;
+    if(type !== undefined) {
+      meta.type = Array.isArray(type) ? type : [type];
+    }
+  }
+  const vcdmVersion = getVcdmVersion({credential});
+  if(vcdmVersion) {
+    meta.vcdmVersion = vcdmVersion;
+  }
+  return {...getValidityPeriod({credential}), ...meta};
+}
+
+/**
+ * Gets the issuer ID of a credential, including the issuer of a credential
+ * inside of an `EnvelopedVerifiableCredential` or a compact credential.
+ *
+ * @param {object} options - The options to use.
+ * @param {object|string} options.credential - The credential.
+ * @param {string} [options.format] - The format of the credential, required
+ *   for compact credentials.
+ *
+ * @returns {string} The issuer ID.
+ */
+function getIssuer({credential, format}) {
+  if(typeof credential === 'string') {
+    const claims = decodeCompact({credential, format});
+    if(typeof claims.iss === 'string') {
+      return claims.iss;
+    }
+    credential = _getClaimsCredential({claims}) ?? {};
+  } else if(_isEnveloped({credential})) {
+    const decoded = decodeEnvelope({credential});
+    if(!decoded) {
+      throw new Error(
+        'The issuer of "credential" cannot be determined from its envelope; ' +
+        '"meta.issuer" must be given.');
+    }
+    credential = decoded;
+  }
+  const {issuer} = credential;
+  if(!issuer) {
+    throw new Error('"credential.issuer" must be an object or string.');
+  }
+  if(!(typeof issuer === 'string' || typeof issuer.id === 'string')) {
+    throw new Error(
+      '"credential.issuer" must be a URI or an object containing an ' +
+      '"id" property.');
+  }
+  return issuer.id || issuer;
+}
+
+/**
+ * Gets the validity period of a credential as millisecond timestamps, using
+ * `validFrom` / `validUntil` for VCDM 2.0 credentials and `issuanceDate` /
+ * `expirationDate` for VCDM 1.1 credentials. Only properties with valid
+ * dates are included in the result.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credential - The credential.
+ *
+ * @returns {object} An object with `validFrom` and / or `validUntil`.
+ */
+function getValidityPeriod({credential}) {
+  const version = getVcdmVersion({credential});
+  if(_isEnveloped({credential})) {
+    credential = decodeEnvelope({credential}) ?? {};
+  }
+  let from;
+  let until;
+  if(version === '2.0') {
+    ({validFrom: from, validUntil: until} = credential);
+  } else if(version === '1.1') {
+    ({issuanceDate: from, expirationDate: until} = credential);
+  } else {
+    from = credential.validFrom ?? credential.issuanceDate;
+    until = credential.validUntil ?? credential.expirationDate;
+  }
+  const period = {};
+  const validFrom = Date.parse(from);
+  if(!Number.isNaN(validFrom)) {
+    period.validFrom = validFrom;
+  }
+  const validUntil = Date.parse(until);
+  if(!Number.isNaN(validUntil)) {
+    period.validUntil = validUntil;
+  }
+  return period;
+}
+
+/**
+ * Gets the VC Data Model version of a credential from its first context.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credential - The credential.
+ *
+ * @returns {string|undefined} `2.0`, `1.1`, or `undefined` if the version
+ *   cannot be determined.
+ */
+function getVcdmVersion({credential}) {
+  const context = credential['@context'];
+  const first = Array.isArray(context) ? context[0] : context;
+  if(first === VCDM_2_CONTEXT) {
+    return '2.0';
+  }
+  if(first === VCDM_1_CONTEXT) {
+    return '1.1';
+  }
+}
+
+// gets the VC from decoded JWT claims: VCDM 1.1 JWT VCs hold it in the `vc`
+// claim, VC-JOSE-COSE secured VCs are the claims themselves
+function _getClaimsCredential({claims}) {
+  if(claims.vc && typeof claims.vc === 'object') {
+    return claims.vc;
+  }
+  if(claims['@context'] !== undefined) {
+    return claims;
+  }
+}
+
+// gets the validity period from registered JWT claims (`nbf` and `exp`)
+function _getClaimsValidityPeriod({claims}) {
+  const period = {};
+  if(Number.isFinite(claims.nbf)) {
+    period.validFrom = claims.nbf * 1000;
+  }
+  if(Number.isFinite(claims.exp)) {
+    period.validUntil = claims.exp * 1000;
+  }
+  return period;
+}
+
+function _decodeBase64Url(x) {
+  const base64 = x.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+// decodes the payload of a compact JWS, ignoring any SD-JWT disclosures
+function _decodeJws(jws) {
+  const [jwt] = jws.split('~');
+  const parts = jwt.split('.');
+  if(parts.length !== 3) {
+    return;
+  }
+  try {
+    const decoded = JSON.parse(_decodeBase64Url(parts[1]));
+    if(decoded && typeof decoded === 'object' && !Array.isArray(decoded)) {
+      return decoded;
+    }
+  } catch(e) {}
+}
+
+function _isEnveloped({credential}) {
+  const {type} = credential;
+  const types = Array.isArray(type) ? type : [type];
+  return types.includes('EnvelopedVerifiableCredential') &&
+    typeof credential.id === 'string';
+}
+
+function _parseDataUrl(url) {
+  const match = /^data:([^,;]*)((?:;[^,]*)*),(.*)$/s.exec(url);
+  if(!match) {
+    return;
+  }
+  const [, mediaType, params, data] = match;
+  return {
+    mediaType: mediaType.toLowerCase(),
+    base64: params.split(';').includes('base64'),
+    data
+  };
+}
@@ -0,0 +1,190 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getMatchableCredential} from './queryByExample.js';
+
+// credential formats (as identified in OpenID4VP) that can be stored;
+// JSON-LD credentials have no `meta.format` and are `ldp_vc` credentials
+const SUPPORTED_FORMATS = ['dc+sd-jwt', 'jwt_vc_json', 'ldp_vc'];
+
+export {convertCredentialQuery, SUPPORTED_FORMATS};
+
+/**
+ * Converts a DCQL credential query into a query to run against `find()` and
+ * a filter to run against each found EDV document.
+ *
+ * The query is built from `meta.vct_values` (for `dc+sd-jwt`) or
+ * `meta.type_values` (for `ldp_vc` and `jwt_vc_json`), falling back to the
+ * `format` of compact credentials; a credential query for `ldp_vc` without
+ * `meta.type_values` is not supported. Types in `type_values` are compared
+ * using their compact terms (the fragment or last path segment of each
+ * type IRI) since JSON-LD expansion is not performed. The filter checks the
+ * `format`, `meta`, and `claims` (using any `claim_sets`) of the credential
+ * query; note that any selectively disclosable claims of an SD-JWT are not
+ * matched and that `trusted_authorities` are not evaluated.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credentialQuery - The DCQL credential query; its
+ *   `format` must be one of `SUPPORTED_FORMATS`.
+ *
+ * @returns {object} An object `{id, query, filter}` where `query` is an
+ *   array of queries and `filter` is a function that takes an EDV document
+ *   and returns whether it satisfies the credential query.
+ */
+function convertCredentialQuery({credentialQuery} = {}) {
+  if(!(credentialQuery && typeof credentialQuery === 'object')) {
+    throw new TypeError('"credentialQuery" must be an object.');
+  }
+  const {id, format, meta = {}, claims, claim_sets: claimSets} =
+    credentialQuery;
+  if(typeof id !== 'string') {
+    throw new TypeError('"credentialQuery.id" must be a string.');
+  }
+  if(!SUPPORTED_FORMATS.includes(format)) {
+    const error = new Error(
+      `Credential query "${id}" format "${format}" is not supported; ` +
+      `supported formats are: ${SUPPORTED_FORMATS.join(', ')}`);
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+  if(!(meta && typeof meta === 'object')) {
+    throw new TypeError('"credentialQuery.meta" must be an object.');
+  }
+  if(claims !== undefined && !(Array.isArray(claims) &&
+    claims.every(c => c && typeof c === 'object' && Array.isArray(c.path)))) {
+    throw new TypeError(
+      '"credentialQuery.claims" must be an array of objects with a "path".');
+  }
+  for(const {path, values} of claims ?? []) {
+    if(!path.every(e => e === null || typeof e === 'string' ||
+      (Number.isSafeInteger(e) && e >= 0))) {
+      throw new TypeError(
+        'DCQL claims "path" elements must be strings, null, or ' +
+        'non-negative integers.');
+    }
+    if(values !== undefined && !Array.isArray(values)) {
+      throw new TypeError('DCQL claims "values" must be an array.');
+    }
+  }
+  if(claimSets !== undefined && !(Array.isArray(claimSets) &&
+    claimSets.every(s => Array.isArray(s)))) {
+    throw new TypeError(
+      '"credentialQuery.claim_sets" must be an array of arrays.');
+  }
+
+  // build query from `meta` constraints or format
+  const {vct_values: vctValues, type_values: typeValues} = meta;
+  let query;
+  if(format === 'dc+sd-jwt' && vctValues !== undefined) {
+    _assertArrayOfStrings(vctValues, 'credentialQuery.meta.vct_values');
+    query = vctValues.map(type => ({type, format}));
+  } else if(format !== 'dc+sd-jwt' && typeValues !== undefined) {
+    if(!(Array.isArray(typeValues) && typeValues.length > 0 &&
+      typeValues.every(t => Array.isArray(t) && t.length > 0 &&
+        t.every(e => typeof e === 'string')))) {
+      throw new TypeError(
+        '"credentialQuery.meta.type_values" must be an array of non-empty ' +
+        'arrays of strings.');
+    }
+    // query by the last (typically most specific) type of each alternative
+    query = typeValues.map(types => {
+      const q = {type: _getTypeTerm(types.at(-1))};
+      if(format !== 'ldp_vc') {
+        q.format = format;
+      }
+      return q;
+    });
+  } else if(format !== 'ldp_vc') {
+    query = [{format}];
+  } else {
+    const error = new Error(
+      `Credential query "${id}" of format "ldp_vc" without ` +
+      '"meta.type_values" is not supported.');
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+
+  // claims must either all match or, if `claim_sets` is given, every claim
+  // in at least one of the claim sets must match
+  const claimsById = new Map((claims ?? []).map(c => [c.id, c]));
+  const claimGroups = claimSets === undefined ?
+    [claims ?? []] : claimSets.map(s => s.map(id => claimsById.get(id)));
+  if(claimGroups.some(g => g.includes(undefined))) {
+    throw new Error(
+      `"credentialQuery.claim_sets" of credential query "${id}" must only ` +
+      'include the IDs of its "claims".');
+  }
+
+  const filter = doc => {
+    if((doc.meta?.format ?? 'ldp_vc') !== format) {
+      return false;
+    }
+    const credential = getMatchableCredential({doc});
+    if(vctValues !== undefined && format === 'dc+sd-jwt' &&
+      !vctValues.includes(credential.vct)) {
+      return false;
+    }
+    if(typeValues !== undefined && format !== 'dc+sd-jwt' &&
+      !typeValues.some(types => _hasTypes({credential, types}))) {
+      return false;
+    }
+    return claimGroups.some(group => group.every(
+      claim => _matchesClaim({credential, claim})));
+  };
+
+  return {id, query, filter};
+}
+
+function _assertArrayOfStrings(x, name) {
+  if(!(Array.isArray(x) && x.length > 0 &&
+    x.every(e => typeof e === 'string'))) {
+    throw new TypeError(`"${name}" must be a non-empty array of strings.`);
+  }
+}
+
+// gets the compact term for a type, e.g., `AlumniCredential` for
+// `https://example.org/examples#AlumniCredential`
+function _getTypeTerm(type) {
+  const match = /[#/]([^#/]+)$/.exec(type);
+  return match ? match[1] : type;
+}
+
+function _hasTypes({credential, types}) {
+  const {type = []} = credential;
+  const terms = (Array.isArray(type) ? type : [type]).map(_getTypeTerm);
+  return types.every(t => terms.includes(_getTypeTerm(t)));
+}
+
+function _matchesClaim({credential, claim}) {
+  const values = _selectClaims({value: credential, path: claim.path});
+  if(claim.values === undefined) {
+    return values.length > 0;
+  }
+  return values.some(v => claim.values.includes(v));
+}
+
+// selects the values identified by a DCQL claims path, where a string
+// selects an object property, `null` selects every array element, and a
+// non-negative integer selects the array element at that index
+function _selectClaims({value, path}) {
+  let values = [value];
+  for(const segment of path) {
+    const next = [];
+    for(const v of values) {
+      if(segment === null) {
+        if(Array.isArray(v)) {
+          next.push(...v);
+        }
+      } else if(typeof segment === 'string') {
+        if(v && typeof v === 'object' && !Array.isArray(v) &&
+          Object.hasOwn(v, segment)) {
+          next.push(v[segment]);
+        }
+      } else if(Array.isArray(v) && segment < v.length) {
+        next.push(v[segment]);
+      }
+    }
+    values = next.filter(v => v !== undefined && v !== null);
+  }
+  return values;
+}
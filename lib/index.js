@@ -1,6 +1,9 @@
 /*
- * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 export {
   defaultMutator, VerifiableCredentialStore
 } from './VerifiableCredentialStore.js';
+export {IndexedDbDocumentCache} from './IndexedDbDocumentCache.js';
+export {IndexedDbOperationQueue} from './IndexedDbOperationQueue.js';
+export {matchesExample} from './queryByExample.js';
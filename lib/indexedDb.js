@@ -0,0 +1,35 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+export {openDatabase, request};
+
+/**
+ * Opens an IndexedDB database.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of the database.
+ * @param {number} options.version - The version of the database.
+ * @param {Function} options.upgrade - A function that takes the database
+ *   and creates its object stores when it is created or upgraded.
+ *
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openDatabase({name, version, upgrade}) {
+  const openRequest = indexedDB.open(name, version);
+  openRequest.onupgradeneeded = () => upgrade(openRequest.result);
+  return request(openRequest);
+}
+
+/**
+ * Waits for an IndexedDB request to complete.
+ *
+ * @param {IDBRequest} request - The request.
+ *
+ * @returns {Promise<*>} The result of the request.
+ */
+function request(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
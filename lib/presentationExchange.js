@@ -0,0 +1,330 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {decodeCompact, decodeEnvelope} from './credentials.js';
+
+// paths (as parsed JSONPath segments) that select the type or issuer of a
+// credential; fields that only use these paths can be converted into
+// indexed queries
+const TYPE_PATHS = [['type'], ['vc', 'type'], ['vct']];
+const ISSUER_PATHS = [
+  ['issuer'], ['issuer', 'id'], ['vc', 'issuer'], ['vc', 'issuer', 'id'],
+  ['iss']
+];
+
+// format designations that are equivalent to the formats recorded in `meta`
+const FORMAT_ALIASES = new Map([
+  ['jwt_vc', 'jwt_vc_json'],
+  ['ldp', 'ldp_vc']
+]);
+
+export {convertInputDescriptor};
+
+/**
+ * Converts a DIF Presentation Exchange input descriptor into a query to run
+ * against `find()` and a filter to run against each found EDV document.
+ *
+ * The query is built from the first non-optional fields that constrain the
+ * type and / or issuer of a credential to specific values (via `const`,
+ * `enum`, or `contains` filters); an input descriptor without such a field
+ * is not supported. The filter checks every non-optional field (and the
+ * `format`, if any) of the input descriptor; only the subset of JSONPath
+ * and JSON Schema commonly used in Presentation Exchange is supported (see
+ * `_evaluateJsonPath()` and `_matchesFilter()`).
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.inputDescriptor - The input descriptor.
+ * @param {object} [options.format] - The `format` of the presentation
+ *   definition, used if the input descriptor does not have its own.
+ *
+ * @returns {object} An object `{id, query, filter}` where `query` is an
+ *   array of queries and `filter` is a function that takes an EDV document
+ *   and returns whether it satisfies the input descriptor.
+ */
+function convertInputDescriptor({inputDescriptor, format} = {}) {
+  if(!(inputDescriptor && typeof inputDescriptor === 'object')) {
+    throw new TypeError('"inputDescriptor" must be an object.');
+  }
+  const {id, constraints = {}} = inputDescriptor;
+  if(typeof id !== 'string') {
+    throw new TypeError('"inputDescriptor.id" must be a string.');
+  }
+  const {fields = []} = constraints;
+  if(!Array.isArray(fields)) {
+    throw new TypeError(
+      '"inputDescriptor.constraints.fields" must be an array.');
+  }
+  const parsedFields = fields.map(field => {
+    if(!(field && typeof field === 'object' && Array.isArray(field.path) &&
+      field.path.length > 0)) {
+      throw new TypeError(
+        'Each input descriptor field must be an object with a "path" array.');
+    }
+    if(field.filter !== undefined) {
+      _assertPatterns({filter: field.filter, id});
+    }
+    return {...field, path: field.path.map(_parseJsonPath)};
+  });
+
+  // build query from type and issuer constraints
+  const types = _getIndexableValues({fields: parsedFields, paths: TYPE_PATHS});
+  const issuers = _getIndexableValues(
+    {fields: parsedFields, paths: ISSUER_PATHS});
+  if(!(types || issuers)) {
+    const error = new Error(
+      `Input descriptor "${id}" without a field that constrains "type" or ` +
+      '"issuer" to specific values is not supported.');
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+  const query = [];
+  for(const type of types ?? [undefined]) {
+    for(const issuer of issuers ?? [undefined]) {
+      const q = {};
+      if(type !== undefined) {
+        q.type = type;
+      }
+      if(issuer !== undefined) {
+        q.issuer = issuer;
+      }
+      query.push(q);
+    }
+  }
+
+  const formats = _getFormats({format: inputDescriptor.format ?? format});
+  const filter = doc => {
+    if(formats && !formats.includes(doc.meta?.format ?? 'ldp_vc')) {
+      return false;
+    }
+    const input = _getInput({doc});
+    return parsedFields.every(field => field.optional ||
+      _matchesField({input, field}));
+  };
+
+  return {id, query, filter};
+}
+
+// throws if a JSON Schema filter (or any filter nested in it) has a
+// `pattern` that is not a valid regular expression
+function _assertPatterns({filter, id}) {
+  if(!(filter && typeof filter === 'object')) {
+    return;
+  }
+  const {pattern, contains, items, not} = filter;
+  if(pattern !== undefined) {
+    try {
+      new RegExp(pattern, 'u');
+    } catch(e) {
+      throw new TypeError(
+        `Input descriptor "${id}" has an invalid filter pattern ` +
+        `"${pattern}": ${e.message}`);
+    }
+  }
+  [contains, items, not].forEach(f => _assertPatterns({filter: f, id}));
+}
+
+function _deepEqual(a, b) {
+  if(a === b) {
+    return true;
+  }
+  if(!(a && b && typeof a === 'object' && typeof b === 'object') ||
+    Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(k => _deepEqual(a[k], b[k]));
+}
+
+// evaluates parsed JSONPath segments (see `_parseJsonPath()`) against a JSON
+// value, returning the selected values
+function _evaluateJsonPath({value, path}) {
+  let values = [value];
+  for(const segment of path) {
+    const next = [];
+    for(const v of values) {
+      if(!(v && typeof v === 'object')) {
+        continue;
+      }
+      if(segment === '*') {
+        next.push(...Object.values(v));
+      } else if(Object.hasOwn(v, segment)) {
+        next.push(v[segment]);
+      }
+    }
+    values = next;
+  }
+  return values;
+}
+
+function _getFormats({format}) {
+  if(!(format && typeof format === 'object')) {
+    return;
+  }
+  return Object.keys(format).map(f => FORMAT_ALIASES.get(f) ?? f);
+}
+
+// gets the values that an indexable field (one that is not optional and
+// only uses the given paths) constrains a credential to
+function _getIndexableValues({fields, paths}) {
+  for(const field of fields) {
+    if(field.optional || !field.filter ||
+      !field.path.every(p => paths.some(s => _samePath(p, s)))) {
+      continue;
+    }
+    const {filter} = field;
+    const source = filter.contains ?? filter;
+    const values = source.const !== undefined ?
+      [source.const] : source.enum;
+    if(Array.isArray(values) && values.length > 0 &&
+      values.every(v => typeof v === 'string')) {
+      return values;
+    }
+  }
+}
+
+// gets the JSON to evaluate JSONPath expressions against for an EDV doc:
+// the JWT claims for compact credentials, otherwise the credential
+function _getInput({doc}) {
+  const {content, meta = {}} = doc;
+  if(typeof content === 'string') {
+    try {
+      return decodeCompact({credential: content, format: meta.format});
+    } catch(e) {
+      return {};
+    }
+  }
+  return decodeEnvelope({credential: content}) ?? content;
+}
+
+function _isType(value, type) {
+  switch(type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    case 'number':
+      return typeof value === 'number';
+    case 'object':
+      return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'string':
+      return typeof value === 'string';
+    default:
+      return false;
+  }
+}
+
+function _matchesField({input, field}) {
+  // the first path to select a value that passes the filter is used
+  for(const path of field.path) {
+    const values = _evaluateJsonPath({value: input, path});
+    if(values.some(value => !field.filter ||
+      _matchesFilter({value, filter: field.filter}))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// checks whether a JSON value matches a JSON Schema filter; only `type`,
+// `const`, `enum`, `pattern`, `minLength`, `maxLength`, `minimum`, `maximum`,
+// `exclusiveMinimum`, `exclusiveMaximum`, `format` (`date` and `date-time`),
+// `contains`, `items`, and `not` are checked, other keywords are ignored
+function _matchesFilter({value, filter}) {
+  const {
+    type, const: constValue, enum: enumValues, pattern, minLength, maxLength,
+    minimum, maximum, exclusiveMinimum, exclusiveMaximum, format, contains,
+    items, not
+  } = filter;
+  if(type !== undefined) {
+    const types = Array.isArray(type) ? type : [type];
+    if(!types.some(t => _isType(value, t))) {
+      return false;
+    }
+  }
+  if(constValue !== undefined && !_deepEqual(value, constValue)) {
+    return false;
+  }
+  if(enumValues !== undefined && !enumValues.some(e => _deepEqual(value, e))) {
+    return false;
+  }
+  if(typeof value === 'string') {
+    if(pattern !== undefined && !new RegExp(pattern, 'u').test(value)) {
+      return false;
+    }
+    if(minLength !== undefined && value.length < minLength) {
+      return false;
+    }
+    if(maxLength !== undefined && value.length > maxLength) {
+      return false;
+    }
+    if((format === 'date' || format === 'date-time') &&
+      Number.isNaN(Date.parse(value))) {
+      return false;
+    }
+  }
+  if(typeof value === 'number') {
+    if((minimum !== undefined && value < minimum) ||
+      (maximum !== undefined && value > maximum) ||
+      (exclusiveMinimum !== undefined && value <= exclusiveMinimum) ||
+      (exclusiveMaximum !== undefined && value >= exclusiveMaximum)) {
+      return false;
+    }
+  }
+  if(Array.isArray(value)) {
+    if(contains !== undefined &&
+      !value.some(v => _matchesFilter({value: v, filter: contains}))) {
+      return false;
+    }
+    if(items !== undefined && typeof items === 'object' &&
+      !value.every(v => _matchesFilter({value: v, filter: items}))) {
+      return false;
+    }
+  }
+  if(not !== undefined && _matchesFilter({value, filter: not})) {
+    return false;
+  }
+  return true;
+}
+
+// parses a JSONPath expression into an array of segments (member names,
+// array indexes, and `*` for wildcards); only the root `$`, member access
+// (`.name` and `['name']`), array indexes (`[0]`), and wildcards (`.*` and
+// `[*]`) are supported
+function _parseJsonPath(path) {
+  if(typeof path !== 'string' || !path.startsWith('$')) {
+    throw new TypeError(`Invalid JSONPath expression "${path}".`);
+  }
+  const segments = [];
+  const regex = new RegExp(
+    '\\.([A-Za-z_$@][\\w$@-]*|\\*)|' +
+    '\\[\\s*(?:\'([^\']*)\'|"([^"]*)"|(\\d+)|(\\*))\\s*\\]', 'y');
+  regex.lastIndex = 1;
+  while(regex.lastIndex < path.length) {
+    const start = regex.lastIndex;
+    const match = regex.exec(path);
+    if(!match) {
+      const error = new Error(
+        `Unsupported JSONPath expression "${path}" at position ${start}.`);
+      error.name = 'NotSupportedError';
+      throw error;
+    }
+    const [, name, single, double, index, wildcard] = match;
+    if(index !== undefined) {
+      segments.push(Number.parseInt(index, 10));
+    } else if(wildcard !== undefined) {
+      segments.push('*');
+    } else {
+      segments.push(name ?? single ?? double);
+    }
+  }
+  return segments;
+}
+
+function _samePath(a, b) {
+  return a.length === b.length && a.every((s, i) => s === b[i]);
+}
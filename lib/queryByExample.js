@@ -0,0 +1,95 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {decodeCompact, decodeEnvelope} from './credentials.js';
+
+/**
+ * Checks whether a credential matches a `QueryByExample` example.
+ *
+ * Every property in the example must match the same property in the
+ * credential according to these rules:
+ *
+ * - An empty string matches any value that is present.
+ * - An array matches if every element in it matches some value of the
+ *   property (i.e., the property must "contain" the array).
+ * - An object matches if each of its properties match; an object with only
+ *   an `id` also matches a string value equal to that `id` (e.g., for
+ *   `issuer`).
+ * - Any other value must equal the property value or, if the property is an
+ *   array, one of its elements.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credential - The credential to check.
+ * @param {object} options.example - The example to match against.
+ *
+ * @returns {boolean} `true` if the credential matches, `false` if not.
+ */
+export function matchesExample({credential, example}) {
+  return _matches(credential, example);
+}
+
+/**
+ * Gets a JSON representation of the credential stored in an EDV document
+ * for matching against examples. Enveloped and compact credentials are
+ * decoded (without verification); note that any selectively disclosable
+ * claims of an SD-JWT are not included.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.doc - The EDV document.
+ *
+ * @returns {object} The credential.
+ */
+export function getMatchableCredential({doc}) {
+  const {content, meta = {}} = doc;
+  if(typeof content !== 'string') {
+    return decodeEnvelope({credential: content}) ?? content;
+  }
+  let claims;
+  try {
+    claims = decodeCompact({credential: content, format: meta.format});
+  } catch(e) {
+    return {};
+  }
+  const credential = claims.vc && typeof claims.vc === 'object' ?
+    {...claims.vc} : {...claims};
+  // use the recorded type for credentials that express it differently,
+  // e.g., as an SD-JWT VC `vct`
+  if(credential.type === undefined && meta.type !== undefined) {
+    credential.type = meta.type;
+  }
+  if(credential.issuer === undefined && meta.issuer !== undefined) {
+    credential.issuer = meta.issuer;
+  }
+  return credential;
+}
+
+function _matches(value, example) {
+  if(example === undefined) {
+    return true;
+  }
+  if(example === '') {
+    return value !== undefined && value !== null;
+  }
+  if(Array.isArray(example)) {
+    const values = value === undefined ? [] :
+      Array.isArray(value) ? value : [value];
+    return example.every(e => values.some(v => _matches(v, e)));
+  }
+  if(Array.isArray(value)) {
+    return value.some(v => _matches(v, example));
+  }
+  if(example && typeof example === 'object') {
+    if(typeof value === 'string') {
+      // e.g., `{id: 'did:example:1234'}` matches `did:example:1234`
+      const keys = Object.keys(example);
+      return keys.length === 1 && keys[0] === 'id' &&
+        _matches(value, example.id);
+    }
+    if(!(value && typeof value === 'object')) {
+      return false;
+    }
+    return Object.keys(example).every(
+      key => _matches(value[key], example[key]));
+  }
+  return value === example;
+}
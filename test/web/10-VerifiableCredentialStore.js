@@ -1,13 +1,22 @@
 /*!
  * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import {
+  dcqlQuery, didAuthenticationQuery, presentationDefinition,
+  queryWithDelegatedTrust, queryWithMatchingTrustedIssuer
+} from './query.js';
+import {
+  IndexedDbDocumentCache, IndexedDbOperationQueue, matchesExample,
+  VerifiableCredentialStore
+} from '@bedrock/web-vc-store';
 import credentials from './credentials.js';
 import {EdvClient} from '@digitalbazaar/edv-client';
 import mock from './mock.js';
-import {queryWithMatchingTrustedIssuer} from './query.js';
-import {VerifiableCredentialStore} from '@bedrock/web-vc-store';
 
-const {alumniCredential, refreshedCredential} = credentials;
+const {
+  accreditationCredential, alumniCredential, alumniCredentialV2,
+  envelopedCredential, refreshedCredential, sdJwtCredential
+} = credentials;
 
 describe('VerifiableCredentialStore', () => {
   before(async () => {
@@ -48,6 +57,109 @@ describe('VerifiableCredentialStore', () => {
     meta.updated.should.be.a('number');
   });
 
+  it('should insert a VCDM 2.0 credential', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    const {meta} = await vcStore.insert({credential: alumniCredentialV2});
+    meta.vcdmVersion.should.equal('2.0');
+    meta.issuer.should.equal(alumniCredentialV2.issuer.id);
+    meta.validFrom.should.equal(Date.parse(alumniCredentialV2.validFrom));
+    meta.validUntil.should.equal(Date.parse(alumniCredentialV2.validUntil));
+  });
+
+  it('should insert an enveloped credential', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    const {content, meta} = await vcStore.insert({
+      credential: envelopedCredential
+    });
+    content.should.deep.equal(envelopedCredential);
+    meta.vcdmVersion.should.equal('2.0');
+    meta.issuer.should.equal(alumniCredentialV2.issuer.id);
+    meta.validUntil.should.equal(Date.parse(alumniCredentialV2.validUntil));
+  });
+
+  it('should insert an SD-JWT credential', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    const {content, meta} = await vcStore.insert({
+      credential: sdJwtCredential, format: 'dc+sd-jwt'
+    });
+    content.should.equal(sdJwtCredential);
+    meta.format.should.equal('dc+sd-jwt');
+    meta.id.should.equal('urn:uuid:5d3ad3e1-8d5d-4d27-9c1b-8d8e4bbd6c31');
+    meta.issuer.should.equal('https://example.edu/issuers/565049');
+    meta.type.should.deep.equal(['AlumniCredential']);
+    meta.validUntil.should.equal(2209058604000);
+
+    const doc = await vcStore.get({id: meta.id});
+    doc.content.should.equal(sdJwtCredential);
+  });
+
+  it('should fail to insert a string credential w/o a format', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    let err;
+    try {
+      await vcStore.insert({credential: sdJwtCredential});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+
+  it('should fail to insert a credential w/ an unsupported format',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      let err;
+      try {
+        await vcStore.insert({credential: sdJwtCredential, format: 'vc+cose'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotSupportedError');
+    });
+
+  it('should find credentials by type and issuer across formats',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      await vcStore.insert({credential: alumniCredential});
+      await vcStore.insert({credential: sdJwtCredential, format: 'dc+sd-jwt'});
+      const {documents} = await vcStore.find({
+        query: {
+          type: 'AlumniCredential',
+          issuer: 'https://example.edu/issuers/565049'
+        }
+      });
+      documents.length.should.equal(2);
+      const {documents: sdJwts} = await vcStore.find({
+        query: {type: 'AlumniCredential', format: 'dc+sd-jwt'}
+      });
+      sdJwts.length.should.equal(1);
+      sdJwts[0].content.should.equal(sdJwtCredential);
+    });
+
+  it('should find credentials by VCDM version', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    await vcStore.insert({credential: alumniCredential});
+    await vcStore.insert({credential: alumniCredentialV2});
+    const {documents} = await vcStore.find({query: {vcdmVersion: '2.0'}});
+    documents.length.should.equal(1);
+    documents[0].content.should.deep.equal(alumniCredentialV2);
+  });
+
   it('should upsert a credential', async () => {
     const {edvClient} = await mock.createEdv();
     const vcStore = new VerifiableCredentialStore({edvClient});
@@ -115,6 +227,41 @@ describe('VerifiableCredentialStore', () => {
     meta.updated.should.be.a('number');
   });
 
+  it('should get many credentials', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    await vcStore.insert({credential: alumniCredential});
+    const missingId = 'urn:uuid:4cd3d3b4-3f45-4d9b-9c88-e1b2b19b5b49';
+    const results = await vcStore.getMany({
+      ids: [alumniCredential.id, missingId]
+    });
+    results.should.be.an('array');
+    results.length.should.equal(2);
+    const [found, notFound] = results;
+    found.id.should.equal(alumniCredential.id);
+    found.doc.content.should.deep.equal(alumniCredential);
+    should.not.exist(found.error);
+    notFound.id.should.equal(missingId);
+    should.not.exist(notFound.doc);
+    notFound.error.name.should.equal('NotFoundError');
+  });
+
+  it('should find a credential by ID', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    await vcStore.insert({credential: alumniCredential});
+    await vcStore.insert({
+      credential: {...alumniCredential, id: `urn:uuid:${crypto.randomUUID()}`}
+    });
+    const {documents} = await vcStore.find({
+      query: {id: alumniCredential.id}
+    });
+    documents.length.should.equal(1);
+    documents[0].content.should.deep.equal(alumniCredential);
+  });
+
   it('should find a credential using a string for type', async () => {
     const {edvClient} = await mock.createEdv();
     const vcStore = new VerifiableCredentialStore({edvClient});
@@ -165,6 +312,231 @@ describe('VerifiableCredentialStore', () => {
     documents.length.should.equal(0);
   });
 
+  it('should find credentials in pages using a cursor', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    const ids = [];
+    for(let i = 0; i < 5; ++i) {
+      const id = `urn:uuid:${crypto.randomUUID()}`;
+      ids.push(id);
+      await vcStore.insert({credential: {...alumniCredential, id}});
+    }
+
+    const type = 'AlumniCredential';
+    const found = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const result = await vcStore.find({
+        query: {type}, options: {limit: 2, cursor}
+      });
+      result.documents.length.should.be.at.most(2);
+      found.push(...result.documents.map(({content}) => content.id));
+      cursor = result.nextCursor;
+      pages++;
+    } while(cursor);
+    pages.should.equal(3);
+    found.should.have.members(ids);
+  });
+
+  it('should not return a cursor for the last page', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    await vcStore.insert({credential: alumniCredential});
+    const type = 'AlumniCredential';
+    const result = await vcStore.find({query: {type}, options: {limit: 1}});
+    result.documents.length.should.equal(1);
+    should.not.exist(result.nextCursor);
+  });
+
+  it('should find credentials sorted by "meta.updated"', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    const updated = [3, 1, 5, 2, 4];
+    for(const u of updated) {
+      const id = `urn:uuid:${crypto.randomUUID()}`;
+      await vcStore.insert({
+        credential: {...alumniCredential, id}, meta: {updated: u}
+      });
+    }
+
+    const type = 'AlumniCredential';
+    const sort = {field: 'meta.updated', direction: 'desc'};
+    const found = [];
+    let cursor;
+    do {
+      const result = await vcStore.find({
+        query: {type}, options: {limit: 2, cursor, sort}
+      });
+      found.push(...result.documents.map(({meta}) => meta.updated));
+      cursor = result.nextCursor;
+    } while(cursor);
+    found.should.deep.equal([5, 4, 3, 2, 1]);
+  });
+
+  it('should fail to find with an invalid sort field', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    let err;
+    try {
+      await vcStore.find({
+        query: {type: 'AlumniCredential'},
+        options: {sort: {field: 'content.issuanceDate'}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.contain('options.sort.field');
+  });
+
+  it('should fail to find with an invalid cursor', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    let err;
+    try {
+      await vcStore.find({
+        query: {type: 'AlumniCredential'}, options: {cursor: 'invalid'}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+
+  it('should find a credential using a custom index', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({
+      edvClient,
+      indexes: [{attribute: 'content.credentialSubject.id'}]
+    });
+
+    await vcStore.insert({credential: alumniCredential});
+    await vcStore.insert({
+      credential: {
+        ...alumniCredential,
+        id: `urn:uuid:${crypto.randomUUID()}`,
+        credentialSubject: {
+          ...alumniCredential.credentialSubject,
+          id: 'did:example:1234'
+        }
+      }
+    });
+    const {documents} = await vcStore.find({
+      query: {
+        type: 'AlumniCredential',
+        'content.credentialSubject.id': alumniCredential.credentialSubject.id
+      }
+    });
+    documents.length.should.equal(1);
+    documents[0].content.should.deep.equal(alumniCredential);
+  });
+
+  it('should only query a compound index by a leading prefix', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({
+      edvClient,
+      indexes: [{
+        attribute: [
+          'content.credentialSubject.id', 'content.credentialSubject.alumniOf'
+        ]
+      }]
+    });
+
+    await vcStore.insert({credential: alumniCredential});
+    const {credentialSubject} = alumniCredential;
+    const {documents} = await vcStore.find({
+      query: {
+        'content.credentialSubject.id': credentialSubject.id,
+        'content.credentialSubject.alumniOf': credentialSubject.alumniOf
+      }
+    });
+    documents.length.should.equal(1);
+
+    let err;
+    try {
+      await vcStore.find({
+        query: {
+          type: 'AlumniCredential',
+          'content.credentialSubject.alumniOf': credentialSubject.alumniOf
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+  });
+
+  it('should fail to find using an unindexed query key', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    let err;
+    try {
+      await vcStore.find({
+        query: {'content.credentialSubject.id': 'did:example:1234'}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.contain('keys must be one of');
+  });
+
+  it('should fail to create a store with an invalid index', async () => {
+    const {edvClient} = await mock.createEdv();
+    let err;
+    try {
+      new VerifiableCredentialStore({
+        edvClient, indexes: [{attribute: 'credentialSubject.id'}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+
+  it('should record validity period in meta on insert', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    const {meta} = await vcStore.insert({credential: refreshedCredential});
+    meta.validUntil.should.equal(
+      Date.parse(refreshedCredential.expirationDate));
+  });
+
+  it('should find only valid credentials w/ includeExpired=false',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      // `alumniCredential` expired in 2022, `refreshedCredential` expires
+      // in 2027
+      await vcStore.insert({credential: alumniCredential});
+      const validCredential = {
+        ...refreshedCredential, id: `urn:uuid:${crypto.randomUUID()}`
+      };
+      await vcStore.insert({credential: validCredential});
+
+      const type = 'AlumniCredential';
+      const at = new Date('2025-01-01T00:00:00Z');
+      const {documents: all} = await vcStore.find({query: {type}});
+      all.length.should.equal(2);
+      const {documents} = await vcStore.find({
+        query: {type}, includeExpired: false, at
+      });
+      documents.length.should.equal(1);
+      documents[0].content.should.deep.equal(validCredential);
+    });
+
   it('should find a credential for a given issuer', async () => {
     const {edvClient} = await mock.createEdv();
     const vcStore = new VerifiableCredentialStore({edvClient});
@@ -247,6 +619,65 @@ describe('VerifiableCredentialStore', () => {
     err.name.should.equal('NotSupportedError');
   });
 
+  it('should find credential w/ a delegated trust trustedIssuer', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    await vcStore.insert({credential: alumniCredential});
+    await vcStore.insert({credential: accreditationCredential});
+
+    const {queries, trustedIssuers} = await vcStore.convertVPRQuery({
+      vprQuery: queryWithDelegatedTrust
+    });
+    queries.should.deep.equal([[{
+      type: 'AlumniCredential', issuer: alumniCredential.issuer
+    }]]);
+    trustedIssuers.length.should.equal(1);
+    trustedIssuers[0].issuers.should.deep.equal([alumniCredential.issuer]);
+    trustedIssuers[0].accreditations.map(({content}) => content)
+      .should.deep.equal([accreditationCredential]);
+
+    const {documents} = await vcStore.find({query: queries[0]});
+    documents.length.should.equal(1);
+    documents[0].content.should.deep.equal(alumniCredential);
+  });
+
+  it('should not find credential w/o an accreditation for its issuer',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      await vcStore.insert({credential: alumniCredential});
+      // accreditation issued by an untrusted accreditor
+      await vcStore.insert({
+        credential: {...accreditationCredential, issuer: 'did:example:1234'}
+      });
+
+      const {queries, trustedIssuers} = await vcStore.convertVPRQuery({
+        vprQuery: queryWithDelegatedTrust
+      });
+      trustedIssuers[0].issuers.should.deep.equal([]);
+      trustedIssuers[0].accreditations.should.deep.equal([]);
+
+      const {documents} = await vcStore.find({query: queries[0]});
+      documents.length.should.equal(0);
+    });
+
+  it('should find credential w/ a trustedIssuer "issuer"', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    await vcStore.insert({credential: alumniCredential});
+
+    const vprQuery = JSON.parse(JSON.stringify(queryWithMatchingTrustedIssuer));
+    vprQuery.credentialQuery[0].trustedIssuer = [{
+      issuer: alumniCredential.issuer
+    }];
+    const {queries} = await vcStore.convertVPRQuery({vprQuery});
+    const {documents} = await vcStore.find({query: queries[0]});
+    documents.length.should.equal(1);
+  });
+
   it('should find credential when querying for an AlumniCredential ' +
     'with a matching issuer', async () => {
     const {edvClient} = await mock.createEdv();
@@ -271,6 +702,102 @@ describe('VerifiableCredentialStore', () => {
     meta.updated.should.be.a('number');
   });
 
+  it('should not find expired credentials when querying for an ' +
+    'AlumniCredential w/ includeExpired=false', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    // `alumniCredential` expired in 2022
+    await vcStore.insert({credential: alumniCredential});
+
+    // convert VPR query into local queries
+    const {queries, findOptions} = await vcStore.convertVPRQuery({
+      vprQuery: queryWithMatchingTrustedIssuer,
+      includeExpired: false
+    });
+    findOptions.should.deep.equal({includeExpired: false});
+
+    // run local queries
+    const results = await Promise.all(
+      queries.map(async query => vcStore.find({query, ...findOptions})));
+    results[0].documents.length.should.equal(0);
+  });
+
+  it('should find only credentials matching all example fields',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      await vcStore.insert({credential: alumniCredential});
+      const otherAlumniCredential = {
+        ...alumniCredential,
+        id: `urn:uuid:${crypto.randomUUID()}`,
+        credentialSubject: {
+          id: 'did:example:1234',
+          alumniOf: 'Other University'
+        }
+      };
+      await vcStore.insert({credential: otherAlumniCredential});
+
+      // this is a VPR query
+      const queryWithAlumniOf =
+        JSON.parse(JSON.stringify(queryWithMatchingTrustedIssuer));
+      queryWithAlumniOf.credentialQuery[0].example.credentialSubject
+        .alumniOf = 'Other University';
+
+      // convert VPR query into local queries
+      const {queries, examples} = await vcStore.convertVPRQuery({
+        vprQuery: queryWithAlumniOf
+      });
+      examples.should.deep.equal(
+        [queryWithAlumniOf.credentialQuery[0].example]);
+
+      // without example, both credentials match type and issuer
+      const {documents: all} = await vcStore.find({query: queries[0]});
+      all.length.should.equal(2);
+      const {documents} = await vcStore.find({
+        query: queries[0], example: examples[0]
+      });
+      documents.length.should.equal(1);
+      documents[0].content.should.deep.equal(otherAlumniCredential);
+    });
+
+  it('should convert a VPR query with DIDAuthentication and ' +
+    'QueryByExample', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    await vcStore.insert({credential: alumniCredential});
+
+    const {queries, didAuthentication} = await vcStore.convertVPRQuery({
+      vprQuery: [didAuthenticationQuery, queryWithMatchingTrustedIssuer]
+    });
+    didAuthentication.should.deep.equal([{
+      acceptedMethods: [{method: 'key'}],
+      acceptedCryptosuites: [{cryptosuite: 'eddsa-rdfc-2022'}]
+    }]);
+    queries.length.should.equal(1);
+    const {documents} = await vcStore.find({query: queries[0]});
+    documents.length.should.equal(1);
+    documents[0].content.should.deep.equal(alumniCredential);
+  });
+
+  it('should fail to convert an unsupported VPR query type', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    let err;
+    try {
+      await vcStore.convertVPRQuery({
+        vprQuery: [didAuthenticationQuery, {type: 'UnknownQuery'}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.contain('Unsupported query type');
+  });
+
   it('should find credential when querying for an AlumniCredential ' +
     'with any issuer', async () => {
     const {edvClient} = await mock.createEdv();
@@ -300,37 +827,542 @@ describe('VerifiableCredentialStore', () => {
     meta.updated.should.be.a('number');
   });
 
-  it('should delete an existing credential', async () => {
-    // first insert VC
+  it('should convert a presentation definition', async () => {
     const {edvClient} = await mock.createEdv();
     const vcStore = new VerifiableCredentialStore({edvClient});
-    await vcStore.insert({credential: alumniCredential});
 
-    // then delete VC
-    const result = await vcStore.delete({id: alumniCredential.id});
-    result.should.be.an('object');
-    result.should.have.keys(['deleted', 'doc', 'bundle']);
-    result.deleted.should.equal(true);
-    result.doc.should.be.an('object');
-    let err;
-    try {
-      await vcStore.get({id: alumniCredential.id});
-    } catch(e) {
-      err = e;
-    }
-    should.exist(err);
-    err.name.should.equal('NotFoundError');
+    const {
+      inputDescriptors, queries, filters
+    } = vcStore.convertPresentationDefinition({presentationDefinition});
+    inputDescriptors.should.deep.equal(
+      ['alumni_credential', 'sd_jwt_alumni_credential']);
+    queries.should.deep.equal([
+      [{type: 'AlumniCredential'}],
+      [{type: 'AlumniCredential', issuer: 'https://example.edu/issuers/565049'}]
+    ]);
+    filters.length.should.equal(2);
+    filters[0].should.be.a('function');
   });
 
-  it('should fail to delete a non-existent credential', async () => {
+  it('should match credentials to presentation definition input descriptors',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      await vcStore.insert({credential: alumniCredential});
+      await vcStore.insert({
+        credential: {
+          ...alumniCredential,
+          id: 'urn:uuid:0a7a7ae5-24a2-4a6c-9b3e-6e4f3ec1e5b1',
+          credentialSubject: {id: 'did:example:5678', alumniOf: 'Other'}
+        }
+      });
+      await vcStore.insert({credential: sdJwtCredential, format: 'dc+sd-jwt'});
+
+      const {matches} = await vcStore.matchPresentationDefinition(
+        {presentationDefinition});
+      matches.length.should.equal(2);
+      matches[0].inputDescriptor.should.equal('alumni_credential');
+      matches[0].documents.map(({content}) => content).should.deep.equal(
+        [alumniCredential]);
+      matches[1].inputDescriptor.should.equal('sd_jwt_alumni_credential');
+      matches[1].documents.map(({content}) => content).should.deep.equal(
+        [sdJwtCredential]);
+    });
+
+  it('should fail to convert an input descriptor w/o type or issuer',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      let err;
+      try {
+        vcStore.convertPresentationDefinition({
+          presentationDefinition: {
+            id: 'c5a3d4b8-7f3e-4f2e-9a52-0c1c2b1d5a6e',
+            input_descriptors: [{
+              id: 'any_credential',
+              constraints: {fields: [{path: ['$.credentialSubject.id']}]}
+            }]
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotSupportedError');
+    });
+
+  it('should fail to convert an input descriptor w/ an invalid pattern',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      let err;
+      try {
+        vcStore.convertPresentationDefinition({
+          presentationDefinition: {
+            id: 'c5a3d4b8-7f3e-4f2e-9a52-0c1c2b1d5a6e',
+            input_descriptors: [{
+              id: 'alumni_credential',
+              constraints: {
+                fields: [{
+                  path: ['$.type'],
+                  filter: {type: 'array', contains: {const: 'AlumniCredential'}}
+                }, {
+                  path: ['$.credentialSubject.alumniOf'],
+                  filter: {type: 'string', pattern: '(Example'}
+                }]
+              }
+            }]
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+      err.message.should.contain('alumni_credential');
+    });
+
+  it('should match an input descriptor w/ an "ldp" format', async () => {
     const {edvClient} = await mock.createEdv();
     const vcStore = new VerifiableCredentialStore({edvClient});
-    const result = await vcStore.delete({id: alumniCredential.id});
-    result.should.be.an('object');
+
+    await vcStore.insert({credential: alumniCredential});
+    const {matches: [{documents}]} = await vcStore.matchPresentationDefinition({
+      presentationDefinition: {
+        ...presentationDefinition,
+        format: {ldp: {proof_type: ['Ed25519Signature2020']}},
+        input_descriptors: [presentationDefinition.input_descriptors[0]]
+      }
+    });
+    documents.map(({content}) => content).should.deep.equal(
+      [alumniCredential]);
+  });
+
+  it('should convert a DCQL query', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    const {
+      queries, filters, credentialSets
+    } = vcStore.convertDCQLQuery({dcqlQuery});
+    queries.should.deep.equal({
+      alumni_credential: [{type: 'AlumniCredential'}],
+      sd_jwt_alumni_credential: [{
+        type: 'AlumniCredential', format: 'dc+sd-jwt'
+      }]
+    });
+    filters.should.have.keys(
+      ['alumni_credential', 'sd_jwt_alumni_credential']);
+    credentialSets.should.deep.equal([{
+      options: [['mdl'], ['sd_jwt_alumni_credential']],
+      required: true
+    }, {
+      options: [['alumni_credential']],
+      required: false
+    }]);
+  });
+
+  it('should match credentials to a DCQL query', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+
+    await vcStore.insert({credential: alumniCredential});
+    await vcStore.insert({credential: sdJwtCredential, format: 'dc+sd-jwt'});
+
+    const {
+      matches, credentialSets, satisfied
+    } = await vcStore.matchDCQLQuery({dcqlQuery});
+    matches.alumni_credential.map(({content}) => content).should.deep.equal(
+      [alumniCredential]);
+    matches.sd_jwt_alumni_credential.map(({content}) => content)
+      .should.deep.equal([sdJwtCredential]);
+    matches.mdl.should.deep.equal([]);
+    credentialSets[0].satisfiedOptions.should.deep.equal(
+      [['sd_jwt_alumni_credential']]);
+    credentialSets[1].satisfiedOptions.should.deep.equal(
+      [['alumni_credential']]);
+    satisfied.should.equal(true);
+  });
+
+  it('should not satisfy a DCQL query w/o required credentials',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+
+      await vcStore.insert({credential: alumniCredential});
+
+      const {
+        matches, credentialSets, satisfied
+      } = await vcStore.matchDCQLQuery({dcqlQuery});
+      matches.alumni_credential.length.should.equal(1);
+      matches.sd_jwt_alumni_credential.length.should.equal(0);
+      credentialSets[0].satisfiedOptions.should.deep.equal([]);
+      satisfied.should.equal(false);
+    });
+
+  it('should delete an existing credential', async () => {
+    // first insert VC
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+    await vcStore.insert({credential: alumniCredential});
+
+    // then delete VC
+    const result = await vcStore.delete({id: alumniCredential.id});
+    result.should.be.an('object');
+    result.should.have.keys(['deleted', 'doc', 'bundle']);
+    result.deleted.should.equal(true);
+    result.doc.should.be.an('object');
+    let err;
+    try {
+      await vcStore.get({id: alumniCredential.id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should fail to delete a non-existent credential', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+    const result = await vcStore.delete({id: alumniCredential.id});
+    result.should.be.an('object');
     result.should.have.keys(['deleted', 'doc', 'bundle']);
     result.deleted.should.equal(false);
   });
 
+  it('should not get a deleted credential from the cache', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient});
+    await vcStore.insert({credential: alumniCredential});
+    await vcStore.get({id: alumniCredential.id, useCache: true});
+
+    await vcStore.delete({id: alumniCredential.id});
+    let err;
+    try {
+      await vcStore.get({id: alumniCredential.id, useCache: true});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should not get a stale upserted credential from the cache',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore({edvClient});
+      await vcStore.insert({credential: alumniCredential});
+      await vcStore.get({id: alumniCredential.id, useCache: true});
+
+      const result = await vcStore.upsert(
+        {credential: alumniCredential, meta: {foo: 'bar'}});
+      const doc = await vcStore.get({id: alumniCredential.id, useCache: true});
+      doc.sequence.should.equal(result.sequence);
+      doc.meta.foo.should.equal('bar');
+    });
+
+  it('should invalidate and clear cached credentials', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore(
+      {edvClient, cache: {max: 10, ttl: 60000}});
+    await vcStore.insert({credential: alumniCredential});
+    await vcStore.get({id: alumniCredential.id, useCache: true});
+    await vcStore.get({id: alumniCredential.id, useCache: true});
+    let stats = vcStore.getCacheStats();
+    stats.should.include({size: 1, max: 10, ttl: 60000});
+    stats.hits.should.be.at.least(1);
+
+    await vcStore.invalidate({id: alumniCredential.id});
+    vcStore.getCacheStats().size.should.equal(0);
+
+    await vcStore.get({id: alumniCredential.id, useCache: true});
+    vcStore.clearCache();
+    stats = vcStore.getCacheStats();
+    stats.size.should.equal(0);
+  });
+
+  it('should evict credentials deleted by another instance', async () => {
+    const {edvClient} = await mock.createEdv();
+    const broadcastChannel = `test:${_newId()}`;
+    const vcStore1 = new VerifiableCredentialStore(
+      {edvClient, broadcastChannel});
+    const vcStore2 = new VerifiableCredentialStore(
+      {edvClient, broadcastChannel});
+    try {
+      await vcStore1.insert({credential: alumniCredential});
+      await vcStore1.get({id: alumniCredential.id, useCache: true});
+      vcStore1.getCacheStats().size.should.equal(1);
+
+      // eviction is received asynchronously
+      await vcStore2.delete({id: alumniCredential.id});
+      for(let i = 0; i < 50 && vcStore1.getCacheStats().size > 0; ++i) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      vcStore1.getCacheStats().size.should.equal(0);
+      let err;
+      try {
+        await vcStore1.get({id: alumniCredential.id, useCache: true});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    } finally {
+      vcStore1.close();
+      vcStore2.close();
+    }
+  });
+
+  for(const persistDecrypted of [false, true]) {
+    it('should serve persisted credentials while offline ' +
+      `(persistDecrypted=${persistDecrypted})`, async () => {
+      const {edvClient} = await mock.createEdv();
+      const persistentCache = new IndexedDbDocumentCache({name: _newId()});
+      const vcStore = new VerifiableCredentialStore(
+        {edvClient, persistentCache, persistDecrypted});
+      try {
+        await vcStore.insert({credential: alumniCredential});
+        await vcStore.get({id: alumniCredential.id});
+        const query = {type: 'AlumniCredential'};
+        (await vcStore.find({query})).documents.length.should.equal(1);
+
+        // simulate the EDV server not being reachable
+        const {find} = edvClient;
+        edvClient.find = async () => {
+          throw new TypeError('Failed to fetch');
+        };
+        let doc;
+        try {
+          doc = await vcStore.get({id: alumniCredential.id});
+          const {documents} = await vcStore.find({query});
+          documents.length.should.equal(1);
+          documents[0].content.should.deep.equal(alumniCredential);
+        } finally {
+          edvClient.find = find;
+        }
+        doc.content.should.deep.equal(alumniCredential);
+
+        // docs found by ID are fetched from the persistent cache as well
+        const {get} = edvClient;
+        edvClient.get = async () => {
+          throw new TypeError('Failed to fetch');
+        };
+        try {
+          const newStore = new VerifiableCredentialStore(
+            {edvClient, persistentCache, persistDecrypted});
+          const {documents} = await newStore.find({query});
+          documents.length.should.equal(1);
+          documents[0].content.should.deep.equal(alumniCredential);
+        } finally {
+          edvClient.get = get;
+        }
+
+        // credential updated via another instance is revalidated
+        const otherStore = new VerifiableCredentialStore({edvClient});
+        await otherStore.upsert({credential: refreshedCredential});
+        const {updated, removed} = await vcStore.revalidate();
+        updated.should.deep.equal([doc.id]);
+        removed.should.have.length(0);
+        const [record] = await persistentCache.getAll();
+        record.decrypted.should.equal(persistDecrypted);
+        record.sequence.should.equal(doc.sequence + 1);
+
+        // credentials written via this instance stay persisted
+        const upserted = await vcStore.upsert(
+          {credential: alumniCredential, mutator: false});
+        const records = await persistentCache.getAll();
+        records.should.have.length(1);
+        records[0].sequence.should.equal(upserted.sequence);
+        await vcStore.delete({id: alumniCredential.id});
+        (await persistentCache.getAll()).should.have.length(0);
+      } finally {
+        await persistentCache.clear();
+        persistentCache.close();
+      }
+    });
+  }
+
+  it('should queue writes while offline and replay them', async () => {
+    const {edvClient} = await mock.createEdv();
+    const writeQueue = new IndexedDbOperationQueue({name: _newId()});
+    const vcStore = new VerifiableCredentialStore({edvClient, writeQueue});
+    try {
+      // simulate the EDV server not being reachable
+      const {insert} = edvClient;
+      edvClient.insert = async () => {
+        throw new TypeError('Failed to fetch');
+      };
+      let result;
+      let deleteResult;
+      try {
+        result = await vcStore.insert({credential: alumniCredential});
+        // later writes are queued behind earlier ones
+        deleteResult = await vcStore.delete({id: 'urn:does-not-exist'});
+      } finally {
+        edvClient.insert = insert;
+      }
+      result.queued.should.equal(true);
+      deleteResult.queued.should.equal(true);
+      (await writeQueue.count()).should.equal(2);
+      const [operation] = await writeQueue.getAll();
+
+      const replayed = [];
+      vcStore.addEventListener('replayed', ({detail}) => replayed.push(detail));
+      // writes made during a replay run after it
+      const replaying = vcStore.replay();
+      const upserted = vcStore.upsert(
+        {credential: refreshedCredential, mutator: false});
+      const {outcomes, pending} = await replaying;
+      pending.should.equal(0);
+      outcomes.should.have.length(2);
+      outcomes[0].operationId.should.equal(result.operationId);
+      outcomes[0].method.should.equal('insert');
+      outcomes[0].result.content.should.deep.equal(alumniCredential);
+      // the time the insert was queued is kept
+      outcomes[0].result.meta.created.should.equal(operation.queued);
+      outcomes[0].result.meta.updated.should.equal(operation.queued);
+      outcomes[1].method.should.equal('delete');
+      outcomes[1].result.deleted.should.equal(false);
+      replayed.should.deep.equal([{outcomes, pending}]);
+      (await upserted).content.should.deep.equal(refreshedCredential);
+      const doc = await vcStore.get({id: alumniCredential.id});
+      doc.content.should.deep.equal(refreshedCredential);
+      doc.meta.created.should.equal(operation.queued);
+    } finally {
+      await writeQueue.clear();
+      writeQueue.close();
+    }
+  });
+
+  it('should complete a partially inserted bundle on replay', async () => {
+    const {edvClient} = await mock.createEdv();
+    const writeQueue = new IndexedDbOperationQueue({name: _newId()});
+    const vcStore = new VerifiableCredentialStore({edvClient, writeQueue});
+    try {
+      // simulate the EDV server not being reachable after the bundle itself
+      // is stored but before its contents are
+      const {update} = edvClient;
+      edvClient.update = async () => {
+        throw new TypeError('Failed to fetch');
+      };
+      let result;
+      try {
+        result = await vcStore.insert({
+          credential: alumniCredential,
+          bundleContents: [{credential: accreditationCredential}]
+        });
+      } finally {
+        edvClient.update = update;
+      }
+      result.queued.should.equal(true);
+      (await vcStore.get({id: alumniCredential.id})).meta.bundle
+        .should.equal(true);
+
+      const {outcomes, pending} = await vcStore.replay();
+      pending.should.equal(0);
+      outcomes.should.have.length(1);
+      should.not.exist(outcomes[0].error);
+      outcomes[0].result.content.should.deep.equal(alumniCredential);
+      const doc = await vcStore.get({id: accreditationCredential.id});
+      doc.meta.bundledBy.should.deep.equal([alumniCredential.id]);
+    } finally {
+      await writeQueue.clear();
+      writeQueue.close();
+    }
+  });
+
+  it('should restore a trashed credential on upsert', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore(
+      {edvClient, softDelete: true});
+    await vcStore.insert({credential: alumniCredential});
+    await vcStore.delete({id: alumniCredential.id});
+
+    await vcStore.upsert({credential: alumniCredential});
+    const doc = await vcStore.get({id: alumniCredential.id});
+    should.not.exist(doc.meta.trashed);
+    should.not.exist(doc.meta.trashedBy);
+    const query = {type: 'AlumniCredential'};
+    (await vcStore.find({query})).documents.length.should.equal(1);
+  });
+
+  it('should trash, restore, and purge a credential', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore(
+      {edvClient, softDelete: true});
+    await vcStore.insert({credential: alumniCredential});
+
+    // trashed credential is hidden by default
+    const result = await vcStore.delete({id: alumniCredential.id});
+    result.deleted.should.equal(true);
+    should.exist(result.doc.meta.trashed);
+    let err;
+    try {
+      await vcStore.get({id: alumniCredential.id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+    const query = {type: 'AlumniCredential'};
+    (await vcStore.find({query})).documents.length.should.equal(0);
+    (await vcStore.find({query, includeTrashed: true}))
+      .documents.length.should.equal(1);
+    const {documentIds} = await vcStore.find(
+      {query, options: {returnDocuments: false}});
+    documentIds.should.deep.equal([]);
+
+    // restored credential is visible again
+    const {restored} = await vcStore.restore({id: alumniCredential.id});
+    restored.should.deep.equal([alumniCredential.id]);
+    const doc = await vcStore.get({id: alumniCredential.id});
+    should.not.exist(doc.meta.trashed);
+
+    // purged credential is gone for good
+    await vcStore.delete({id: alumniCredential.id});
+    (await vcStore.purge({olderThan: 0})).purged.should.deep.equal([]);
+    (await vcStore.purge()).purged.should.deep.equal([alumniCredential.id]);
+    err = undefined;
+    try {
+      await vcStore.get({id: alumniCredential.id, includeTrashed: true});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should purge more trashed credentials than are returned at once',
+    async () => {
+      const {edvClient} = await mock.createEdv();
+      const vcStore = new VerifiableCredentialStore(
+        {edvClient, softDelete: true});
+      const ids = [_newId(), _newId(), _newId()];
+      for(const id of ids) {
+        await vcStore.insert({credential: {...alumniCredential, id}});
+        await vcStore.delete({id});
+      }
+
+      // simulate an EDV server that returns fewer results than match
+      const {find} = edvClient;
+      edvClient.find = options => find.call(edvClient, {...options, limit: 1});
+      let result;
+      try {
+        result = await vcStore.purge({olderThan: Date.now() + 1});
+      } finally {
+        edvClient.find = find;
+      }
+      result.purged.should.have.members(ids);
+      should.not.exist(result.hasMore);
+      const {documents} = await vcStore.find(
+        {query: {type: 'AlumniCredential'}, includeTrashed: true});
+      documents.length.should.equal(0);
+    });
+
   const storeOptions = {
     defaults: {},
     'addBundleContentsFirst=false': {addBundleContentsFirst: false},
@@ -341,6 +1373,37 @@ describe('VerifiableCredentialStore', () => {
   }
 });
 
+describe('matchesExample', () => {
+  it('should match an empty string to any present value', async () => {
+    matchesExample({
+      credential: alumniCredential,
+      example: {credentialSubject: {id: ''}}
+    }).should.equal(true);
+    matchesExample({
+      credential: alumniCredential,
+      example: {credentialSubject: {degree: ''}}
+    }).should.equal(false);
+  });
+
+  it('should match an array if the value contains it', async () => {
+    matchesExample({
+      credential: alumniCredential,
+      example: {type: ['VerifiableCredential', 'AlumniCredential']}
+    }).should.equal(true);
+    matchesExample({
+      credential: alumniCredential,
+      example: {type: ['AlumniCredential', 'OtherCredential']}
+    }).should.equal(false);
+  });
+
+  it('should match an object w/ only an "id" to a string', async () => {
+    matchesExample({
+      credential: alumniCredential,
+      example: {issuer: {id: alumniCredential.issuer}}
+    }).should.equal(true);
+  });
+});
+
 function _addBundleTests(storeOption) {
   it('should fail to insert non-array bundle', async () => {
     const {edvClient} = await mock.createEdv();
@@ -399,6 +1462,45 @@ function _addBundleTests(storeOption) {
     meta.updated.should.be.a('number');
   });
 
+  it('should emit change events for a bundle', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+    const events = [];
+    for(const type of ['inserted', 'updated', 'deleted', 'bundleChanged']) {
+      vcStore.addEventListener(type, ({detail}) => events.push(
+        type === 'bundleChanged' ? {type, ...detail} : {type, id: detail.id}));
+    }
+
+    const subCredential = {
+      ..._deepClone(alumniCredential),
+      id: _newId()
+    };
+    await vcStore.insert({
+      credential: alumniCredential,
+      bundleContents: [{credential: subCredential}]
+    });
+    events.should.have.deep.members([
+      {type: 'inserted', id: alumniCredential.id},
+      {type: 'inserted', id: subCredential.id},
+      {
+        type: 'bundleChanged', id: alumniCredential.id,
+        added: [subCredential.id], removed: []
+      }
+    ]);
+
+    // dependent credential is deleted along with the bundle
+    events.length = 0;
+    await vcStore.delete({id: alumniCredential.id});
+    events.should.have.deep.members([
+      {type: 'deleted', id: subCredential.id},
+      {
+        type: 'bundleChanged', id: alumniCredential.id,
+        added: [], removed: [subCredential.id]
+      },
+      {type: 'deleted', id: alumniCredential.id}
+    ]);
+  });
+
   it('should fail to upsert non-array bundle', async () => {
     const {edvClient} = await mock.createEdv();
     const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
@@ -1063,6 +2165,210 @@ function _addBundleTests(storeOption) {
     err.name.should.equal('NotFoundError');
   });
 
+  it('should delete a wide and deep bundle', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    // a bundle with sub-bundles at different depths
+    const credentials = [...Array(7)].map(
+      () => ({..._deepClone(alumniCredential), id: _newId()}));
+    const [top, sub1, sub2, subSub1, leaf1, leaf2, leaf3] = credentials;
+    await vcStore.insert({
+      credential: top,
+      bundleContents: [{
+        credential: sub1,
+        bundleContents: [{
+          credential: subSub1,
+          bundleContents: [{credential: leaf1}]
+        }, {
+          credential: leaf2
+        }]
+      }, {
+        credential: sub2,
+        bundleContents: [{credential: leaf3}]
+      }]
+    });
+
+    const result = await vcStore.delete({id: top.id});
+    result.deleted.should.equal(true);
+
+    for(const {id} of credentials) {
+      let err;
+      try {
+        await vcStore.get({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    }
+  });
+
+  it('should trash and restore a deep bundle', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore(
+      {edvClient, ...storeOption, softDelete: true});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subSubCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const independentCredential = {
+      ..._deepClone(alumniCredential), id: _newId()
+    };
+    await vcStore.insert({credential: independentCredential});
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{
+        credential: subCredential,
+        bundleContents: [
+          {credential: subSubCredential},
+          {id: independentCredential.id}
+        ]
+      }]
+    });
+    const ids = [bundleCredential.id, subCredential.id, subSubCredential.id];
+
+    // the bundle and its dependents are trashed; others are unchanged
+    await vcStore.delete({id: bundleCredential.id});
+    let results = await vcStore.getMany({ids});
+    results.every(({error}) => error?.name === 'NotFoundError')
+      .should.equal(true);
+    let doc = await vcStore.get({id: independentCredential.id});
+    doc.meta.bundledBy.should.deep.equal([subCredential.id]);
+
+    // the whole bundle is restored
+    const {restored} = await vcStore.restore({id: bundleCredential.id});
+    restored.should.have.members(ids);
+    results = await vcStore.getMany({ids});
+    results.every(({doc}) => doc).should.equal(true);
+    const {bundle} = await vcStore.getBundle({id: bundleCredential.id});
+    bundle.contents.map(({doc}) => doc.content.id).should.deep.equal(
+      [subCredential.id]);
+    (await vcStore.verifyIntegrity()).valid.should.equal(true);
+
+    // purging unlinks independent credentials
+    await vcStore.delete({id: bundleCredential.id});
+    const {purged} = await vcStore.purge();
+    purged.should.have.members(ids);
+    doc = await vcStore.get({id: independentCredential.id});
+    should.not.exist(doc.meta.bundledBy);
+  });
+
+  it('should ignore trashed bundles of independent contents', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore(
+      {edvClient, ...storeOption, softDelete: true});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const independentCredential = {
+      ..._deepClone(alumniCredential), id: _newId()
+    };
+    await vcStore.insert({credential: independentCredential});
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{id: independentCredential.id}]
+    });
+    await vcStore.delete({id: bundleCredential.id});
+
+    // the trashed bundle is not reported as a bundler
+    const {id} = independentCredential;
+    (await vcStore.getBundlers({id})).bundlers.should.deep.equal([]);
+    const {bundlers, graph} = await vcStore.getBundlers(
+      {id, recursive: true});
+    bundlers.should.deep.equal([]);
+    graph.should.deep.equal({[id]: []});
+
+    // the trashed bundle does not prevent deletion
+    const result = await vcStore.delete({id});
+    result.deleted.should.equal(true);
+    let err;
+    try {
+      await vcStore.get({id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should not get deleted bundle contents from the cache', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subSubCredential = {..._deepClone(alumniCredential), id: _newId()};
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{
+        credential: subCredential,
+        bundleContents: [{credential: subSubCredential}]
+      }]
+    });
+    const ids = [bundleCredential.id, subCredential.id, subSubCredential.id];
+    await vcStore.getMany({ids, useCache: true});
+
+    await vcStore.delete({id: bundleCredential.id});
+    const results = await vcStore.getMany({ids, useCache: true});
+    results.every(({error}) => error?.name === 'NotFoundError')
+      .should.equal(true);
+    for(const id of ids) {
+      let err;
+      try {
+        await vcStore.get({id, useCache: true});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    }
+  });
+
+  it('should plan the deletion of a deep bundle', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subSubCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const independentCredential = {
+      ..._deepClone(alumniCredential), id: _newId()
+    };
+    await vcStore.insert({credential: independentCredential});
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{
+        credential: subCredential,
+        bundleContents: [
+          {credential: subSubCredential},
+          {id: independentCredential.id}
+        ]
+      }]
+    });
+
+    const result = await vcStore.delete(
+      {id: bundleCredential.id, dryRun: true});
+    result.should.have.keys(['deleted', 'doc', 'bundle', 'operations']);
+    result.deleted.should.equal(false);
+    const operations = result.operations.map(
+      ({type, doc}) => ({type, id: doc.content.id}));
+    operations.should.have.deep.members([
+      {type: 'delete', id: bundleCredential.id},
+      {type: 'delete', id: subCredential.id},
+      {type: 'delete', id: subSubCredential.id},
+      {type: 'update', id: independentCredential.id}
+    ]);
+
+    // nothing is changed
+    const docs = await vcStore.getMany({ids: [
+      bundleCredential.id, subCredential.id, subSubCredential.id,
+      independentCredential.id
+    ]});
+    docs.every(({doc}) => doc).should.equal(true);
+    docs[3].doc.meta.bundledBy.should.deep.equal([subCredential.id]);
+    (await vcStore.verifyIntegrity()).valid.should.equal(true);
+  });
+
   it('should fail to delete a deep member of an existing bundle', async () => {
     const {edvClient} = await mock.createEdv();
     const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
@@ -1163,6 +2469,471 @@ function _addBundleTests(storeOption) {
     should.exist(err);
     err.name.should.equal('NotFoundError');
   });
+
+  it('should update a bundle w/ replaced contents', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const newCredential = () => ({
+      ..._deepClone(alumniCredential), id: _newId()
+    });
+    const bundleCredential = newCredential();
+    const keptCredential = newCredential();
+    const droppedCredential = newCredential();
+    const droppedSubCredential = newCredential();
+    const independentCredential = newCredential();
+    const addedCredential = newCredential();
+    await vcStore.insert({credential: independentCredential});
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{
+        credential: keptCredential
+      }, {
+        credential: droppedCredential,
+        bundleContents: [{credential: droppedSubCredential}]
+      }, {
+        credential: independentCredential
+      }]
+    });
+
+    const result = await vcStore.updateBundle({
+      credential: bundleCredential,
+      bundleContents: [
+        {credential: keptCredential},
+        {credential: addedCredential}
+      ]
+    });
+    result.should.have.keys(['doc', 'added', 'kept', 'unlinked', 'deleted']);
+    result.added.should.deep.equal([addedCredential.id]);
+    result.kept.should.deep.equal([keptCredential.id]);
+    result.unlinked.should.deep.equal([independentCredential.id]);
+    result.deleted.should.have.members(
+      [droppedCredential.id, droppedSubCredential.id]);
+
+    const {bundle} = await vcStore.getBundle({id: bundleCredential.id});
+    bundle.contents.map(({doc}) => doc.content.id).should.have.members(
+      [keptCredential.id, addedCredential.id]);
+    const independentDoc = await vcStore.get({id: independentCredential.id});
+    should.not.exist(independentDoc.meta.bundledBy);
+    for(const {id} of [droppedCredential, droppedSubCredential]) {
+      let err;
+      try {
+        await vcStore.get({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    }
+  });
+
+  it('should insert a bundle w/ contents given by reference', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    await vcStore.insert({credential: subCredential});
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{id: subCredential.id}]
+    });
+
+    const subDoc = await vcStore.get({id: subCredential.id});
+    subDoc.content.should.deep.equal(subCredential);
+    subDoc.meta.bundledBy.should.deep.equal([bundleCredential.id]);
+    should.not.exist(subDoc.meta.dependent);
+
+    // independent sub credential is not deleted with its bundle
+    await vcStore.delete({id: bundleCredential.id});
+    const doc = await vcStore.get({id: subCredential.id});
+    should.not.exist(doc.meta.bundledBy);
+  });
+
+  it('should fail to insert a bundle w/ a missing reference', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    let err;
+    try {
+      await vcStore.insert({
+        credential: bundleCredential,
+        bundleContents: [{id: _newId()}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should add to and remove from a bundle by reference', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const keptCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const dependentCredential = {
+      ..._deepClone(alumniCredential), id: _newId()
+    };
+    await vcStore.insert({credential: keptCredential});
+    await vcStore.insert({credential: dependentCredential});
+    await vcStore.insert({credential: bundleCredential});
+
+    await vcStore.addToBundle(
+      {bundleId: bundleCredential.id, id: keptCredential.id});
+    const doc = await vcStore.addToBundle({
+      bundleId: bundleCredential.id, id: dependentCredential.id,
+      dependent: true
+    });
+    doc.meta.bundledBy.should.deep.equal([bundleCredential.id]);
+    doc.meta.dependent.should.equal(true);
+    const {doc: bundleDoc, bundle} = await vcStore.getBundle(
+      {id: bundleCredential.id});
+    bundleDoc.meta.bundle.should.equal(true);
+    bundle.contents.map(({doc}) => doc.content.id).should.have.members(
+      [keptCredential.id, dependentCredential.id]);
+
+    // removing a dependent credential deletes it
+    let result = await vcStore.removeFromBundle(
+      {bundleId: bundleCredential.id, id: dependentCredential.id});
+    result.should.deep.equal(
+      {removed: true, unlinked: [], deleted: [dependentCredential.id]});
+    let err;
+    try {
+      await vcStore.get({id: dependentCredential.id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+
+    // removing the last credential leaves an empty bundle
+    result = await vcStore.removeFromBundle(
+      {bundleId: bundleCredential.id, id: keptCredential.id});
+    result.should.deep.equal(
+      {removed: true, unlinked: [keptCredential.id], deleted: []});
+    const {meta} = await vcStore.get({id: bundleCredential.id});
+    should.not.exist(meta.bundle);
+    (await vcStore.verifyIntegrity()).valid.should.equal(true);
+  });
+
+  it('should get the bundlers of a credential', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const otherCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const deepCredential = {..._deepClone(alumniCredential), id: _newId()};
+    await vcStore.insert({credential: deepCredential});
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{
+        credential: subCredential,
+        bundleContents: [{id: deepCredential.id}]
+      }]
+    });
+    await vcStore.insert({
+      credential: otherCredential,
+      bundleContents: [{id: deepCredential.id}]
+    });
+
+    let result = await vcStore.getBundlers({id: deepCredential.id});
+    result.bundlers.should.have.members(
+      [subCredential.id, otherCredential.id]);
+    result.graph[deepCredential.id].should.have.members(
+      [subCredential.id, otherCredential.id]);
+
+    result = await vcStore.getBundlers(
+      {id: deepCredential.id, recursive: true});
+    result.bundlers.should.have.members(
+      [subCredential.id, otherCredential.id, bundleCredential.id]);
+    result.graph[subCredential.id].should.deep.equal([bundleCredential.id]);
+    result.graph[bundleCredential.id].should.deep.equal([]);
+    result.graph[otherCredential.id].should.deep.equal([]);
+
+    // a bundled credential cannot be deleted; its bundlers are reported
+    let err;
+    try {
+      await vcStore.delete({id: deepCredential.id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ConstraintError');
+    err.bundlers.should.have.members([subCredential.id, otherCredential.id]);
+  });
+
+  it('should fail to insert a bundle that forms a cycle', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+
+    // cycle within the bundle contents
+    let err;
+    try {
+      await vcStore.insert({
+        credential: bundleCredential,
+        bundleContents: [{
+          credential: subCredential,
+          bundleContents: [{credential: bundleCredential}]
+        }]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ConstraintError');
+
+    // cycle with stored bundles
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{credential: subCredential}]
+    });
+    err = undefined;
+    try {
+      await vcStore.upsert({
+        credential: subCredential,
+        bundleContents: [{id: bundleCredential.id}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ConstraintError');
+    err = undefined;
+    try {
+      await vcStore.addToBundle(
+        {bundleId: subCredential.id, id: bundleCredential.id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ConstraintError');
+    (await vcStore.verifyIntegrity()).valid.should.equal(true);
+  });
+
+  it('should fail to exceed the maximum bundle depth', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore(
+      {edvClient, ...storeOption, maxBundleDepth: 2});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const deepCredential = {..._deepClone(alumniCredential), id: _newId()};
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{
+        credential: subCredential,
+        bundleContents: [{credential: deepCredential}]
+      }]
+    });
+
+    // nesting another level under the stored bundles is too deep
+    const tooDeepCredential = {..._deepClone(alumniCredential), id: _newId()};
+    let err;
+    try {
+      await vcStore.upsert({
+        credential: deepCredential,
+        bundleContents: [{credential: tooDeepCredential}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ConstraintError');
+    err = undefined;
+    try {
+      await vcStore.get({id: tooDeepCredential.id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should fail to exceed the maximum bundle size', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore(
+      {edvClient, ...storeOption, maxBundleSize: 2});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredentials = [0, 1, 2].map(
+      () => ({..._deepClone(alumniCredential), id: _newId()}));
+    let err;
+    try {
+      await vcStore.insert({
+        credential: bundleCredential,
+        bundleContents: subCredentials.map(credential => ({credential}))
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ConstraintError');
+
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: subCredentials.slice(0, 2).map(
+        credential => ({credential}))
+    });
+    await vcStore.insert({credential: subCredentials[2]});
+    err = undefined;
+    try {
+      await vcStore.addToBundle(
+        {bundleId: bundleCredential.id, id: subCredentials[2].id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ConstraintError');
+  });
+
+  it('should verify the integrity of a bundle', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    await vcStore.insert({
+      credential: {..._deepClone(alumniCredential), id: _newId()},
+      bundleContents: [{
+        credential: {..._deepClone(alumniCredential), id: _newId()}
+      }]
+    });
+
+    const report = await vcStore.verifyIntegrity();
+    report.valid.should.equal(true);
+    report.orphanedDependents.should.deep.equal([]);
+    report.danglingBundledBy.should.deep.equal([]);
+    report.bundleFlagMismatches.should.deep.equal([]);
+    report.duplicates.should.deep.equal([]);
+  });
+
+  it('should repair a force deleted bundle', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const bundleCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subSubCredential = {..._deepClone(alumniCredential), id: _newId()};
+    await vcStore.insert({
+      credential: bundleCredential,
+      bundleContents: [{
+        credential: subCredential,
+        bundleContents: [{
+          credential: subSubCredential
+        }]
+      }]
+    });
+
+    // leave sub credential (and its contents) orphaned
+    await vcStore.delete(
+      {id: bundleCredential.id, deleteBundle: false, force: true});
+
+    const report = await vcStore.verifyIntegrity();
+    report.valid.should.equal(false);
+    report.orphanedDependents.map(({content}) => content.id)
+      .should.deep.equal([subCredential.id]);
+    report.danglingBundledBy.length.should.equal(1);
+    report.danglingBundledBy[0].doc.content.id.should.equal(
+      subCredential.id);
+    report.danglingBundledBy[0].missing.should.deep.equal(
+      [bundleCredential.id]);
+
+    // dry run should not change anything
+    const dryRun = await vcStore.repair({dryRun: true});
+    dryRun.operations.map(({type, doc}) => [type, doc.content.id])
+      .should.deep.equal([['delete', subCredential.id]]);
+    (await vcStore.verifyIntegrity()).valid.should.equal(false);
+
+    await vcStore.repair();
+    (await vcStore.verifyIntegrity()).valid.should.equal(true);
+
+    // orphaned credential and its dependents should be deleted
+    for(const {id} of [subCredential, subSubCredential]) {
+      let err;
+      try {
+        await vcStore.get({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    }
+  });
+
+  it('should repair a mismatched bundle flag', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    const subSubCredential = {..._deepClone(alumniCredential), id: _newId()};
+    await vcStore.insert({
+      credential: {..._deepClone(alumniCredential), id: _newId()},
+      bundleContents: [{
+        credential: subCredential,
+        bundleContents: [{
+          credential: subSubCredential
+        }]
+      }]
+    });
+
+    // sub credential no longer bundles anything
+    await vcStore.delete({id: subSubCredential.id, force: true});
+
+    const report = await vcStore.verifyIntegrity();
+    report.valid.should.equal(false);
+    report.bundleFlagMismatches.length.should.equal(1);
+    report.bundleFlagMismatches[0].doc.content.id.should.equal(
+      subCredential.id);
+    report.bundleFlagMismatches[0].bundle.should.equal(false);
+
+    const {operations} = await vcStore.repair();
+    operations.map(({type, doc}) => [type, doc.content.id])
+      .should.deep.equal([['update', subCredential.id]]);
+    (await vcStore.verifyIntegrity()).valid.should.equal(true);
+    const {meta} = await vcStore.get({id: subCredential.id});
+    should.not.exist(meta.bundle);
+  });
+
+  it('should not repair when not every credential is checked', async () => {
+    const {edvClient} = await mock.createEdv();
+    const vcStore = new VerifiableCredentialStore({edvClient, ...storeOption});
+
+    const subCredential = {..._deepClone(alumniCredential), id: _newId()};
+    await vcStore.insert({
+      credential: {..._deepClone(alumniCredential), id: _newId()},
+      bundleContents: [{credential: subCredential}]
+    });
+
+    // simulate an EDV server that returns fewer results than match
+    const {find} = edvClient;
+    edvClient.find = options => find.call(edvClient, {...options, limit: 1});
+    let err;
+    try {
+      const report = await vcStore.verifyIntegrity();
+      report.complete.should.equal(false);
+      report.valid.should.equal(false);
+      await vcStore.repair({dryRun: true});
+    } catch(e) {
+      err = e;
+    } finally {
+      edvClient.find = find;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+    err.report.complete.should.equal(false);
+
+    // the bundle is left intact
+    const {meta} = await vcStore.get({id: subCredential.id});
+    meta.bundledBy.length.should.equal(1);
+    const report = await vcStore.verifyIntegrity();
+    report.complete.should.equal(true);
+    report.valid.should.equal(true);
+  });
 }
 
 function _deepClone(x) {
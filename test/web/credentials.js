@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 
 /* eslint-disable quotes, quote-props, max-len */
@@ -50,7 +50,77 @@ const refreshedCredential = {
   "expirationDate": "2027-06-14T18:37:12Z"
 };
 
+// https://www.w3.org/TR/vc-data-model-2.0/#example-a-simple-example-of-a-verifiable-credential
+const alumniCredentialV2 = {
+  "@context": [
+    "https://www.w3.org/ns/credentials/v2",
+    "https://www.w3.org/ns/credentials/examples/v2"
+  ],
+  "id": "http://university.example/credentials/3732",
+  "type": ["VerifiableCredential", "AlumniCredential"],
+  "issuer": {
+    "id": "https://university.example/issuers/565049",
+    "name": "Example University"
+  },
+  "validFrom": "2010-01-01T19:23:24Z",
+  "validUntil": "2040-01-01T19:23:24Z",
+  "credentialSubject": {
+    "id": "did:example:ebfeb1f712ebc6f1c276e12ec21",
+    "alumniOf": "Example University"
+  }
+};
+
+// a VC-JOSE-COSE secured `alumniCredentialV2` (signature is not valid)
+const envelopedCredential = {
+  "@context": ["https://www.w3.org/ns/credentials/v2"],
+  "id": "data:application/vc+jwt," +
+    "eyJhbGciOiJFUzI1NiIsInR5cCI6InZjK2p3dCJ9." +
+    _base64UrlEncode(JSON.stringify(alumniCredentialV2)) +
+    ".c2lnbmF0dXJl",
+  "type": "EnvelopedVerifiableCredential"
+};
+
+// an IETF SD-JWT VC (signature is not valid)
+const sdJwtCredential =
+  "eyJhbGciOiJFUzI1NiIsInR5cCI6ImRjK3NkLWp3dCJ9." +
+  _base64UrlEncode(JSON.stringify({
+    "iss": "https://example.edu/issuers/565049",
+    "jti": "urn:uuid:5d3ad3e1-8d5d-4d27-9c1b-8d8e4bbd6c31",
+    "vct": "AlumniCredential",
+    "iat": 1262373804,
+    "exp": 2209058604,
+    "_sd": ["Ch2b8KdTxsCpa1vrOSV-yIeWQvSOw2IlBEkGPvU1HVY"],
+    "_sd_alg": "sha-256"
+  })) +
+  ".c2lnbmF0dXJl~WyJzYWx0IiwiYWx1bW5pT2YiLCJFeGFtcGxlIFVuaXZlcnNpdHkiXQ~";
+
+// an accreditation of the issuer of `alumniCredential` by an accreditor
+const accreditationCredential = {
+  "@context": [
+    "https://www.w3.org/ns/credentials/v2",
+    "https://www.w3.org/ns/credentials/examples/v2"
+  ],
+  "id": "urn:uuid:8b2c2a4e-4f9e-4bb7-8f35-5b6cf7f1a0c2",
+  "type": ["VerifiableCredential", "AccreditationCredential"],
+  "issuer": "did:example:accreditor",
+  "validFrom": "2010-01-01T19:23:24Z",
+  "credentialSubject": {
+    "id": "https://example.edu/issuers/565049",
+    "accreditedFor": "AlumniCredential"
+  }
+};
+
+function _base64UrlEncode(x) {
+  const bytes = new TextEncoder().encode(x);
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
 export default {
+  accreditationCredential,
   alumniCredential,
-  refreshedCredential
+  alumniCredentialV2,
+  envelopedCredential,
+  refreshedCredential,
+  sdJwtCredential
 };
@@ -209,6 +209,12 @@ export class MockStorage {
       if(query.count === true) {
         return [200, undefined, {count: results.length}];
       }
+      if(query.limit !== undefined && results.length > query.limit) {
+        return [200, undefined, {
+          documents: results.slice(0, query.limit),
+          hasMore: true
+        }];
+      }
       return [200, undefined, {documents: results}];
     });
   }
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 const queryWithMatchingTrustedIssuer = {
   type: 'QueryByExample',
@@ -32,6 +32,94 @@ const queryWithMatchingTrustedIssuer = {
   }]
 };
 
+const queryWithDelegatedTrust = {
+  type: 'QueryByExample',
+  credentialQuery: {
+    example: {
+      type: 'AlumniCredential'
+    },
+    trustedIssuer: [{
+      issuerQuery: {
+        example: {
+          type: 'AccreditationCredential',
+          credentialSubject: {accreditedFor: 'AlumniCredential'}
+        },
+        trustedIssuer: [{issuer: 'did:example:accreditor'}]
+      }
+    }]
+  }
+};
+
+const didAuthenticationQuery = {
+  type: 'DIDAuthentication',
+  acceptedMethods: [{method: 'key'}],
+  acceptedCryptosuites: [{cryptosuite: 'eddsa-rdfc-2022'}]
+};
+
+const presentationDefinition = {
+  id: '32f54163-7166-48f1-93d8-ff217bdb0653',
+  input_descriptors: [{
+    id: 'alumni_credential',
+    constraints: {
+      fields: [{
+        path: ['$.type', '$.vc.type'],
+        filter: {
+          type: 'array',
+          contains: {const: 'AlumniCredential'}
+        }
+      }, {
+        path: ['$.credentialSubject.alumniOf'],
+        filter: {type: 'string', pattern: 'Example University'}
+      }]
+    }
+  }, {
+    id: 'sd_jwt_alumni_credential',
+    format: {'dc+sd-jwt': {}},
+    constraints: {
+      fields: [{
+        path: ['$.vct'],
+        filter: {const: 'AlumniCredential'}
+      }, {
+        path: ['$.iss'],
+        filter: {enum: ['https://example.edu/issuers/565049']}
+      }]
+    }
+  }]
+};
+
+const dcqlQuery = {
+  credentials: [{
+    id: 'alumni_credential',
+    format: 'ldp_vc',
+    meta: {
+      type_values: [[
+        'https://www.w3.org/2018/credentials#VerifiableCredential',
+        'https://example.org/examples#AlumniCredential'
+      ]]
+    },
+    claims: [{path: ['credentialSubject', 'alumniOf']}]
+  }, {
+    id: 'sd_jwt_alumni_credential',
+    format: 'dc+sd-jwt',
+    meta: {vct_values: ['AlumniCredential']},
+    claims: [{path: ['iss'], values: ['https://example.edu/issuers/565049']}]
+  }, {
+    id: 'mdl',
+    format: 'mso_mdoc',
+    meta: {doctype_value: 'org.iso.18013.5.1.mDL'}
+  }],
+  credential_sets: [{
+    options: [['mdl'], ['sd_jwt_alumni_credential']]
+  }, {
+    options: [['alumni_credential']],
+    required: false
+  }]
+};
+
 export {
+  dcqlQuery,
+  didAuthenticationQuery,
+  presentationDefinition,
+  queryWithDelegatedTrust,
   queryWithMatchingTrustedIssuer
 };